@@ -4,14 +4,59 @@ const { program } = require('commander');
 const { install } = require('../src/commands/install');
 const { uninstall } = require('../src/commands/uninstall');
 const { init } = require('../src/commands/init');
-const { setKey, setDiffBudget, showDiffBudget } = require('../src/commands/config');
+const { generate } = require('../src/commands/generate');
+const { showStyle } = require('../src/commands/style');
+const { planReword, applyReword } = require('../src/commands/reword');
+const { generatePullRequest, buildPrPrompt } = require('../src/commands/pr');
+const { changelog } = require('../src/commands/changelog');
+const { confirm, canReview } = require('../src/review');
+const {
+  setKey,
+  setDiffBudget,
+  showDiffBudget,
+  showConfig,
+  getConfig,
+  setConfig,
+  unsetConfig,
+  listConfig
+} = require('../src/commands/config');
+const {
+  listTemplates,
+  showTemplate,
+  validateTemplate,
+  renderTemplatePreview,
+  initTemplate
+} = require('../src/commands/template');
 const { processCommitMessage } = require('../src/hook-runner');
-const { GLOBAL_TEMPLATE_FILE, getTemplateInstructions } = require('../src/config');
+const {
+  GLOBAL_TEMPLATE_FILE,
+  getTemplateInstructions,
+  setCliOverrides,
+  parseCliOverride,
+  mergeConfig
+} = require('../src/config');
 
 program
   .name('nullcommits')
   .description('AI-powered git commit message enhancer using GPT-5.1')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option(
+    '-c, --override <key=value>',
+    'Override a config value for this run, e.g. -c model=gpt-4.1 (repeatable)',
+    (value, previous) => previous.concat([value]),
+    []
+  )
+  .hook('preAction', () => {
+    try {
+      const overrides = program.opts().override
+        .map(parseCliOverride)
+        .reduce((merged, override) => mergeConfig(merged, override), {});
+      setCliOverrides(overrides);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
 
 program
   .command('init')
@@ -68,6 +113,182 @@ program
     }
   });
 
+program
+  .command('generate')
+  .description('Generate a commit message for the staged changes without committing')
+  .option('-m, --message <message>', 'Original commit message to enhance')
+  .option('-o, --output <file>', 'Write the generated message to a file')
+  .option('--json', 'Print the result as JSON')
+  .action(async (options) => {
+    try {
+      const result = await generate(options);
+      if (options.json) {
+        console.log(JSON.stringify({
+          message: result.message,
+          originalMessage: result.originalMessage,
+          fileCount: result.fileCount,
+          totalLinesChanged: result.totalLinesChanged
+        }, null, 2));
+      } else if (result.path) {
+        console.error(`✅ Commit message written to ${result.path}`);
+      } else {
+        console.log(result.message);
+      }
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('style')
+  .description('Show the commit style learned from the repository history')
+  .option('--refresh', 'Analyse the history again instead of using the cached style')
+  .option('--json', 'Print the style profile as JSON')
+  .action(async (options) => {
+    try {
+      const result = await showStyle(options);
+      if (options.json) {
+        console.log(JSON.stringify(result.profile, null, 2));
+        return;
+      }
+      if (result.profile.sampled === 0) {
+        console.log('📭 No commits to learn from yet');
+        return;
+      }
+      console.error(`🎨 Learned from ${result.profile.sampled} commit(s)` +
+        `${result.cached ? ` (cached ${result.createdAt})` : ''}: ${result.cachePath}`);
+      if (!result.enabled) {
+        console.error('💡 Not used yet; turn it on with: nullcommits config set style.enabled true');
+      }
+      console.error('');
+      console.log(result.guide);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('reword <range>')
+  .description('Regenerate the messages of existing commits and rewrite them (e.g. main..HEAD or HEAD~3)')
+  .option('-n, --dry-run', 'Preview the new messages without rewriting anything')
+  .option('-y, --yes', 'Rewrite without asking for confirmation')
+  .option('-f, --force', 'Also rewrite commits that are already on a remote')
+  .action(async (range, options) => {
+    try {
+      const plan = await planReword(range, {
+        force: options.force,
+        onProgress: (commit, index, total) => {
+          console.error(`⏳ [${index + 1}/${total}] ${commit.sha.slice(0, 7)} ${commit.message.split('\n')[0]}`);
+        }
+      });
+
+      for (const commit of plan.commits) {
+        console.log('');
+        console.log(`─── ${commit.sha.slice(0, 7)} ───`);
+        if (commit.skipped) {
+          console.log(`Kept (${commit.skipped}): ${commit.before.split('\n')[0]}`);
+          continue;
+        }
+        console.log(`- ${commit.before.split('\n').join('\n- ')}`);
+        console.log(`+ ${commit.after.split('\n').join('\n+ ')}`);
+      }
+      console.log('');
+
+      const changed = plan.commits.filter(commit => commit.after !== commit.before).length;
+      if (changed === 0) {
+        console.log('✅ Nothing to rewrite');
+        return;
+      }
+      if (options.dryRun) {
+        console.log(`💡 Dry run: ${changed} message(s) would change; nothing was rewritten`);
+        return;
+      }
+      if (!options.yes) {
+        if (!canReview()) {
+          throw new Error('Not running in a terminal; pass --yes to rewrite without confirmation.');
+        }
+        if (!(await confirm(`Rewrite ${changed} commit message(s) on ${plan.branch || 'the detached HEAD'}?`))) {
+          console.log('Nothing was rewritten.');
+          return;
+        }
+      }
+
+      const result = await applyReword(plan);
+      console.log(`✅ Rewrote ${result.rewritten} commit message(s)`);
+      console.log(`💾 Backup of the old history: ${result.backupRef}`);
+      console.log(`   Undo with: git reset --keep ${result.backupRef}`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('pr')
+  .description('Generate a pull request title and description from the commits and diff since the base branch')
+  .option('-b, --base <branch>', 'Branch the pull request targets (default: pr.base, origin\'s default branch, main or master)')
+  .option('-o, --output <file>', 'Write the title and description to a file')
+  .option('--json', 'Print the result as JSON')
+  .option('--prompt', 'Print the prompt instead of sending it')
+  .action(async (options) => {
+    try {
+      if (options.prompt) {
+        console.log((await buildPrPrompt(options)).prompt);
+        return;
+      }
+      const result = await generatePullRequest(options);
+      if (options.json) {
+        console.log(JSON.stringify({
+          title: result.title,
+          body: result.body,
+          base: result.base,
+          commitCount: result.commitCount,
+          fileCount: result.fileCount
+        }, null, 2));
+      } else if (result.path) {
+        console.error(`✅ Pull request description written to ${result.path}`);
+      } else {
+        console.log(`${result.title}\n\n${result.body}`);
+      }
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('changelog [range]')
+  .description('Generate a Keep a Changelog section from the commits of a range (default: since the latest tag)')
+  .option('-r, --release <version>', 'Version name (default: the tag the range ends at, or Unreleased)')
+  .option('--notes', 'Condense the commits into user-facing release notes with the model')
+  .option('--no-notes', 'List the commits as they are, even when changelog.notes is on')
+  .option('--all', 'Also list docs, test, refactoring, build, CI and chore commits')
+  .option('-w, --write [file]', 'Prepend the section to the changelog (default: changelog.file)')
+  .option('--json', 'Print the result as JSON')
+  .action(async (range, options) => {
+    try {
+      const result = await changelog(range, options);
+      if (options.json) {
+        console.log(JSON.stringify({
+          version: result.version,
+          date: result.date,
+          range: result.range,
+          sections: result.sections,
+          commits: result.entries
+        }, null, 2));
+      } else if (result.path) {
+        console.error(`✅ Added ${result.version} to ${result.path}`);
+      } else {
+        console.log(result.markdown.trimEnd());
+      }
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
 // Config subcommand group
 const configCmd = program
   .command('config')
@@ -87,16 +308,122 @@ configCmd
     }
   });
 
+configCmd
+  .command('get <key>')
+  .description('Print a config value (e.g. lint.bodyWrap)')
+  .option('--global', 'Read from ~/.nullcommitsrc only')
+  .option('--local', 'Read from the repository .nullcommitsrc only')
+  .action(async (key, options) => {
+    try {
+      const result = await getConfig(key, options);
+      if (!result.isSet) {
+        console.error(`ℹ️  ${key} is not set`);
+        process.exit(1);
+      }
+      console.log(typeof result.value === 'string' ? result.value : JSON.stringify(result.value));
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+configCmd
+  .command('set <key> <value>')
+  .description('Set a config value (e.g. nullcommits config set lint.bodyWrap 100)')
+  .option('--global', 'Write to ~/.nullcommitsrc (default)')
+  .option('--local', 'Write to the repository .nullcommitsrc')
+  .action(async (key, value, options) => {
+    try {
+      const result = await setConfig(key, value, options);
+      console.log(`✅ ${result.key} set to ${JSON.stringify(result.value)} (${result.scope})`);
+      console.log(`   Config file: ${result.path}`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+configCmd
+  .command('unset <key>')
+  .description('Remove a config value so the next layer (or the default) applies')
+  .option('--global', 'Remove from ~/.nullcommitsrc (default)')
+  .option('--local', 'Remove from the repository .nullcommitsrc')
+  .action(async (key, options) => {
+    try {
+      const result = await unsetConfig(key, options);
+      if (result.removed) {
+        console.log(`✅ ${result.key} removed (${result.scope})`);
+      } else {
+        console.log(`ℹ️  ${result.key} is not set in ${result.path}`);
+      }
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+configCmd
+  .command('list')
+  .description('List all config options with their values and descriptions')
+  .option('--global', 'Only list values stored in ~/.nullcommitsrc')
+  .option('--local', 'Only list values stored in the repository .nullcommitsrc')
+  .action(async (options) => {
+    try {
+      const result = await listConfig(options);
+      if (result.scope) {
+        console.log(`📄 ${result.path}`);
+        if (result.entries.length === 0) {
+          console.log('   (no values set)');
+        }
+      }
+      for (const entry of result.entries) {
+        const value = entry.value === undefined ? '(not set)' : JSON.stringify(entry.value);
+        console.log(`${entry.key} = ${value}`);
+        console.log(`    ${entry.type ? `[${entry.type}] ` : ''}${entry.description}`);
+      }
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+configCmd
+  .command('show')
+  .description('Show the effective configuration')
+  .option('--origin', 'Show which layer (default, global, local, env, cli) each value comes from')
+  .action(async (options) => {
+    try {
+      const result = await showConfig();
+      const width = Math.max(...result.entries.map(entry => entry.key.length));
+      for (const entry of result.entries) {
+        const line = `${entry.key.padEnd(width)} = ${JSON.stringify(entry.value)}`;
+        console.log(options.origin ? `${line}  (${entry.origin})` : line);
+      }
+      if (options.origin) {
+        console.log('');
+        console.log(`   global: ${result.files.global}`);
+        console.log(`   local:  ${result.files.local || '(not in a git repository)'}`);
+      }
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
 configCmd
   .command('set-diff-budget <budget>')
-  .description('Set max characters for diff (e.g., 128000 or 128K). Default: 128K')
+  .description('Set max tokens for the diff (e.g., 32000 or 32K), or "auto" to fit the model. Default: auto')
   .action(async (budget) => {
     try {
       const result = await setDiffBudget(budget);
-      const formatted = result.budget >= 1000
-        ? `${Math.floor(result.budget / 1000)}K`
-        : result.budget;
-      console.log(`✅ Diff budget set to ${result.budget} characters (${formatted})`);
+      if (result.budget === 'auto') {
+        console.log(`✅ Diff budget set to auto (${result.details.tokens} tokens for ${result.details.model})`);
+      } else {
+        const formatted = result.budget >= 1000
+          ? `${Math.floor(result.budget / 1000)}K`
+          : result.budget;
+        console.log(`✅ Diff budget set to ${result.budget} tokens (${formatted})`);
+      }
       console.log(`   Config file: ${result.path}`);
     } catch (error) {
       console.error('❌ Error:', error.message);
@@ -106,20 +433,145 @@ configCmd
 
 configCmd
   .command('show-diff-budget')
-  .description('Show the current diff budget setting')
+  .description('Show the current diff budget and the model context window it fits')
   .action(async () => {
     try {
       const result = await showDiffBudget();
+      const { details } = result;
       const formatted = result.budget >= 1000
         ? `${Math.floor(result.budget / 1000)}K`
         : result.budget;
-      console.log(`📊 Current diff budget: ${result.budget} characters (${formatted})`);
+      console.log(`📊 Current diff budget: ${result.budget} tokens (${formatted})${details.auto ? ' - auto' : ''}`);
       if (result.isDefault) {
         console.log('   (using default value)');
       }
+      console.log(`   Model:           ${details.model}`);
+      console.log(`   Context window:  ${details.contextWindow} tokens`);
+      console.log(`   Template:        ~${details.templateTokens} tokens (with prompt overhead)`);
+      console.log(`   Reply reserve:   ${details.responseTokens} tokens`);
+      if (details.exceedsContext) {
+        console.log(`⚠️  The budget is larger than the ${Math.max(0, details.available)} tokens the context window leaves for the diff`);
+      }
       console.log('');
       console.log('💡 Change with: nullcommits config set-diff-budget <value>');
-      console.log('   Examples: 64000, 128K, 256000');
+      console.log('   Examples: auto, 8000, 32K');
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Template subcommand group
+const templateCmd = program
+  .command('template')
+  .description('Manage the templates used to build prompts');
+
+templateCmd
+  .command('list')
+  .description('List template files and bundled presets, marking the one in use')
+  .action(async () => {
+    try {
+      const result = await listTemplates();
+      console.log('📋 Templates (highest priority first):');
+      for (const candidate of result.candidates) {
+        const marker = candidate.active ? '▶' : ' ';
+        const label = candidate.source === 'bundled' ? `bundled (${candidate.name})` : candidate.source;
+        let status = candidate.exists ? '' : ' (not found)';
+        if (candidate.skipped) {
+          status = ` (${candidate.skipped})`;
+        }
+        console.log(` ${marker} ${label.padEnd(22)} ${candidate.path || ''}${status}`);
+      }
+      console.log('');
+      console.log('📦 Bundled presets:');
+      const width = Math.max(...result.presets.map(preset => preset.name.length));
+      for (const preset of result.presets) {
+        console.log(` ${preset.selected ? '▶' : ' '} ${preset.name.padEnd(width)}  ${preset.description}`);
+      }
+      console.log('');
+      console.log('💡 Pick a preset with: nullcommits config set template <preset>');
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+templateCmd
+  .command('show [name]')
+  .description('Print a template: the active one, "local", "global", a preset or a file')
+  .action(async (name) => {
+    try {
+      const result = await showTemplate(name);
+      console.error(`📄 ${result.path} (${result.source})`);
+      console.log(result.content);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+templateCmd
+  .command('validate [name]')
+  .description('Check a template for syntax errors, unknown variables and missing placeholders')
+  .action(async (name) => {
+    try {
+      const result = await validateTemplate(name);
+      console.log(`📄 ${result.path} (${result.source})`);
+      console.log(`   ~${result.templateSize} tokens, diff budget ${result.diffBudget} tokens`);
+      for (const error of result.errors) {
+        console.log(`❌ ${error}`);
+      }
+      for (const warning of result.warnings) {
+        console.log(`⚠️  ${warning}`);
+      }
+      if (!result.valid) {
+        process.exit(1);
+      }
+      console.log('✅ Template is valid');
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+templateCmd
+  .command('render')
+  .description('Print the exact prompt that would be sent for the staged changes')
+  .option('-m, --message <message>', 'Original commit message to use')
+  .action(async (options) => {
+    try {
+      const result = await renderTemplatePreview(options);
+      console.error(`📄 ${result.template.path} (${result.template.source})`);
+      console.error(`   ${result.fileCount} file(s), ${result.totalLinesChanged} line(s) changed, ~${result.promptTokens} prompt tokens`);
+      console.error(`   Diff: ~${result.diffTokens} of ${result.budget.tokens} budget tokens, ${result.budget.contextWindow} token context window`);
+      if (result.largeCommit) {
+        console.error('   🧩 Large commit: the diff is summarised group by group first, and {{DIFF}} holds the summaries');
+      }
+      console.error(`   System prompt: ${result.system}`);
+      console.error('');
+      console.log(result.prompt);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+templateCmd
+  .command('init')
+  .description('Create a template file from a preset')
+  .option('--local', 'Create .nullcommits.template in the repository root instead of ~/.nullcommits.template')
+  .option('-p, --preset <preset>', 'Preset to start from (see "template list")', 'default')
+  .option('-f, --force', 'Overwrite an existing template')
+  .action(async (options) => {
+    try {
+      const result = await initTemplate(options);
+      if (result.created) {
+        console.log(`✅ Template created from the "${result.preset}" preset:`);
+      } else {
+        console.log('ℹ️  Template already exists (use --force to overwrite):');
+      }
+      console.log(`   ${result.path}`);
+      console.log(getTemplateInstructions());
     } catch (error) {
       console.error('❌ Error:', error.message);
       process.exit(1);
@@ -131,9 +583,11 @@ program
   .command('process')
   .description('Process a commit message (used internally by git hook)')
   .argument('<msgFile>', 'Path to the commit message file')
-  .action(async (msgFile) => {
+  .argument('[source]', 'Commit source passed to the hook (message, template, commit, merge, squash)')
+  .argument('[object]', 'Commit the message comes from (commit source only)')
+  .action(async (msgFile, source, object) => {
     try {
-      await processCommitMessage(msgFile);
+      await processCommitMessage(msgFile, source, object);
     } catch (error) {
       console.error('❌ nullcommits error:', error.message);
       process.exit(1);
@@ -0,0 +1,320 @@
+const { parseMessage, HEADER_PATTERN, TYPE_ALIASES } = require('./conventional');
+
+/**
+ * Default settings for nullcommits changelog
+ */
+const DEFAULT_CHANGELOG_CONFIG = {
+  file: 'CHANGELOG.md',   // file --write prepends to, relative to the repository root
+  notes: false,           // condense the commits into release notes with the model
+  includeInternal: false  // list docs, tests, refactoring, CI and chores too
+};
+
+/**
+ * Keep a Changelog sections, in the order they are written
+ */
+const CHANGELOG_SECTIONS = ['Added', 'Changed', 'Deprecated', 'Removed', 'Fixed', 'Security'];
+
+/**
+ * Version name for changes that are not released yet
+ */
+const UNRELEASED = 'Unreleased';
+
+/**
+ * Header of a new CHANGELOG.md
+ */
+const CHANGELOG_HEADER = `# Changelog
+
+All notable changes to this project will be documented in this file.
+
+The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/).
+`;
+
+/**
+ * Section of each Conventional Commits type; null marks internal changes
+ */
+const TYPE_SECTIONS = {
+  feat: 'Added',
+  fix: 'Fixed',
+  perf: 'Changed',
+  revert: 'Changed',
+  docs: null,
+  style: null,
+  refactor: null,
+  test: null,
+  build: null,
+  ci: null,
+  chore: null
+};
+
+/**
+ * Section of each emoji of the default template and its gitmoji code; null marks internal changes
+ */
+const EMOJI_SECTIONS = {
+  '✨': 'Added', ':sparkles:': 'Added',
+  '🐛': 'Fixed', ':bug:': 'Fixed',
+  '🔧': 'Changed', ':wrench:': 'Changed',
+  '📝': null, ':memo:': null,
+  '🎨': null, ':art:': null,
+  '♻': null, ':recycle:': null,
+  '🚀': 'Changed', ':rocket:': 'Changed', '⚡': 'Changed', ':zap:': 'Changed',
+  '🧪': null, ':test_tube:': null, '✅': null, ':white_check_mark:': null,
+  '🔒': 'Security', ':lock:': 'Security',
+  '📦': 'Changed', ':package:': 'Changed', '⬆': 'Changed', ':arrow_up:': 'Changed',
+  '🗑': 'Removed', ':wastebasket:': 'Removed', '🔥': 'Removed', ':fire:': 'Removed',
+  '🏗': 'Changed', ':building_construction:': 'Changed',
+  '💥': 'Changed', ':boom:': 'Changed'
+};
+
+/**
+ * Leading emoji or gitmoji code of a subject
+ */
+const EMOJI_PATTERN = /^(\p{Extended_Pictographic}|:[a-z0-9_+-]+:)️?\s*/u;
+
+/**
+ * Commits that only make sense before they are squashed
+ */
+const AUTOSQUASH_PATTERN = /^(?:fixup|squash|amend)! /;
+
+/**
+ * System prompt for release notes
+ */
+const NOTES_SYSTEM_PROMPT = 'You write release notes for the users of a software project. You respond only with Keep a Changelog sections in markdown, no preamble.';
+
+/**
+ * Work out the changelog section and entry text of a commit from its Conventional Commits type or leading emoji
+ * Subjects without either are listed under Changed
+ * @param {{sha: string, message: string}} commit - Commit
+ * @returns {{sha: string, type: string, scope: string, section: string|null, breaking: boolean, description: string}}
+ *   The commit's type or emoji, scope, section (null for internal changes), whether it breaks
+ *   compatibility and its subject without the prefix
+ */
+function classifyCommit({ sha, message }) {
+  const { header, footers } = parseMessage(message);
+  let breaking = footers.some(line => /^breaking[ -]change:/i.test(line));
+  let type = '';
+  let scope = '';
+  let section = 'Changed';
+  let description = header;
+
+  const conventional = header.match(HEADER_PATTERN);
+  const emoji = header.match(EMOJI_PATTERN);
+  if (conventional) {
+    type = TYPE_ALIASES[conventional[1].toLowerCase()] || conventional[1].toLowerCase();
+    scope = conventional[2] || '';
+    breaking = breaking || Boolean(conventional[3]);
+    section = type in TYPE_SECTIONS ? TYPE_SECTIONS[type] : 'Changed';
+    description = conventional[4];
+  } else if (emoji) {
+    type = emoji[1];
+    section = type in EMOJI_SECTIONS ? EMOJI_SECTIONS[type] : 'Changed';
+    breaking = breaking || type === '💥' || type === ':boom:';
+    description = header.slice(emoji[0].length);
+  }
+
+  // Features and changes that take something away belong to their own sections
+  if (section === 'Added' || section === 'Changed') {
+    if (/^(?:remove|drop|delete)[sd]?\b/i.test(description)) {
+      section = 'Removed';
+    } else if (/^deprecate[sd]?\b/i.test(description)) {
+      section = 'Deprecated';
+    }
+  }
+
+  description = description.trim().replace(/\.$/, '');
+  return {
+    sha,
+    type,
+    scope,
+    section,
+    breaking,
+    description: description.charAt(0).toUpperCase() + description.slice(1)
+  };
+}
+
+/**
+ * Format the changelog entry of a classified commit
+ * @param {Object} entry - Entry from classifyCommit
+ * @returns {string} Entry text, without the list marker
+ */
+function formatEntry({ sha, scope, breaking, description }) {
+  return `${breaking ? '**Breaking:** ' : ''}${scope ? `**${scope}:** ` : ''}${description} (${sha})`;
+}
+
+/**
+ * Classify commits and group their entries by section
+ * fixup!/squash!/amend! commits are left out, and internal changes unless asked for or breaking
+ * @param {{sha: string, message: string}[]} commits - Commits, oldest first
+ * @param {Object} [options] - Grouping options
+ * @param {boolean} [options.includeInternal=false] - List internal changes under Changed
+ * @returns {{entries: Object[], sections: Object}} The classified commits, and the entry texts
+ *   of each non-empty section, newest first
+ */
+function groupCommits(commits, { includeInternal = false } = {}) {
+  const entries = commits
+    .filter(commit => !AUTOSQUASH_PATTERN.test(commit.message))
+    .map(classifyCommit);
+  const sections = {};
+
+  for (const entry of [...entries].reverse()) {
+    // Breaking changes are listed even when the commit is otherwise internal
+    const section = entry.section || (includeInternal || entry.breaking ? 'Changed' : null);
+    if (section) {
+      (sections[section] = sections[section] || []).push(formatEntry(entry));
+    }
+  }
+
+  return { entries, sections: orderSections(sections) };
+}
+
+/**
+ * Put sections in Keep a Changelog order and drop empty ones
+ * @param {Object} sections - Entry texts by section name
+ * @returns {Object} The same sections, ordered
+ */
+function orderSections(sections) {
+  const ordered = {};
+  for (const name of CHANGELOG_SECTIONS) {
+    if (sections[name] && sections[name].length > 0) {
+      ordered[name] = sections[name];
+    }
+  }
+  return ordered;
+}
+
+/**
+ * Format a version section in Keep a Changelog markdown
+ * @param {Object} release - Release
+ * @param {string} release.version - Version name, e.g. 1.2.0 or Unreleased
+ * @param {string} [release.date] - Release date (YYYY-MM-DD)
+ * @param {Object} release.sections - Entry texts by section name
+ * @returns {string} Markdown, starting with the "## [version]" heading
+ */
+function formatRelease({ version, date, sections }) {
+  const lines = [`## [${version}]${date ? ` - ${date}` : ''}`];
+  for (const [name, items] of Object.entries(sections)) {
+    lines.push('', `### ${name}`, '', ...items.map(item => `- ${item}`));
+  }
+  if (Object.keys(sections).length === 0) {
+    lines.push('', 'No notable changes.');
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Put a version section into a changelog: below the Unreleased section and above the
+ * previous release, or in place of the Unreleased section when it is the Unreleased one
+ * @param {string} changelog - Existing changelog (empty for a new file)
+ * @param {string} release - Section from formatRelease
+ * @param {string} version - Version name of the section
+ * @returns {string} The changelog with the section
+ * @throws {Error} When the changelog already has a section for a released version
+ */
+function insertRelease(changelog, release, version) {
+  const lines = (changelog.trim() ? changelog : CHANGELOG_HEADER).replace(/\n*$/, '\n').split('\n');
+  const headings = lines
+    .map((line, index) => ({ index, name: (line.match(/^## \[?([^\]\s]+)\]?/) || [])[1] }))
+    .filter(heading => heading.name);
+  const existing = headings.find(heading => heading.name.toLowerCase() === version.toLowerCase());
+
+  let start;
+  let end;
+  if (existing && version !== UNRELEASED) {
+    throw new Error(`The changelog already has a section for ${version}.`);
+  } else if (existing) {
+    start = existing.index;
+    const next = headings.find(heading => heading.index > start);
+    end = next ? next.index : lines.length;
+  } else {
+    // The Unreleased section stays on top
+    const previous = headings.find(heading => heading.name.toLowerCase() !== UNRELEASED.toLowerCase());
+    start = previous ? previous.index : lines.length;
+    end = start;
+  }
+
+  const before = lines.slice(0, start).join('\n').replace(/\n*$/, '\n\n');
+  const after = lines.slice(end).join('\n').replace(/^\n*/, '');
+  return `${before}${release}${after ? `\n${after}` : ''}`.replace(/\n*$/, '\n');
+}
+
+/**
+ * Build the prompt that condenses the grouped commits into release notes
+ * @param {Object} release - Release
+ * @param {string} release.version - Version name
+ * @param {Object} release.sections - Entry texts by section name
+ * @param {{sha: string, message: string}[]} release.commits - Commits, oldest first
+ * @param {number} maxChars - Characters of full commit messages to include; later commits only show their subject
+ * @returns {string} Prompt
+ */
+function buildNotesPrompt({ version, sections, commits }, maxChars) {
+  let used = 0;
+  const messages = [...commits].reverse().map((commit) => {
+    used += commit.message.length;
+    return `<commit sha="${commit.sha}">\n${used <= maxChars ? commit.message : commit.message.split('\n')[0]}\n</commit>`;
+  });
+
+  return [
+    `Write the release notes of version ${version} from the draft changelog and the commit messages below.`,
+    '',
+    'Rules:',
+    `- Use only these "### " sections, in this order, leaving out empty ones: ${CHANGELOG_SECTIONS.join(', ')}.`,
+    '- One "- " bullet point per user-visible change, written for the people who use the project, not its developers.',
+    '- Merge entries that describe the same change, and leave out internal changes (refactoring, tests, CI, chores).',
+    '- Keep "**Breaking:**" in front of changes that break compatibility.',
+    '- Do not invent changes that are not in the commits.',
+    '',
+    'Draft changelog (newest first):',
+    formatRelease({ version, sections }),
+    'Commit messages (newest first):',
+    ...messages
+  ].join('\n');
+}
+
+/**
+ * Read the sections of the model's release notes
+ * Bullet points start an entry; other lines continue the previous one
+ * @param {string} text - Model output
+ * @returns {Object} Entry texts by section name
+ * @throws {Error} When the notes have no known section
+ */
+function parseNotes(text) {
+  const sections = {};
+  let current = null;
+  let items = null;
+
+  for (const line of text.split('\n')) {
+    const heading = line.match(/^#{2,4}\s+(.+?)\s*$/);
+    if (heading) {
+      current = CHANGELOG_SECTIONS.find(name => name.toLowerCase() === heading[1].toLowerCase()) || null;
+      items = current ? (sections[current] = sections[current] || []) : null;
+      continue;
+    }
+    if (!items || !line.trim()) {
+      continue;
+    }
+    const bullet = line.match(/^[-*]\s+(.*)$/);
+    if (bullet) {
+      items.push(bullet[1].trim());
+    } else if (items.length > 0) {
+      items[items.length - 1] += `\n  ${line.trim()}`;
+    }
+  }
+
+  const ordered = orderSections(sections);
+  if (Object.keys(ordered).length === 0) {
+    throw new Error(`The release notes have none of the ${CHANGELOG_SECTIONS.join(', ')} sections.`);
+  }
+  return ordered;
+}
+
+module.exports = {
+  classifyCommit,
+  groupCommits,
+  formatRelease,
+  insertRelease,
+  buildNotesPrompt,
+  parseNotes,
+  DEFAULT_CHANGELOG_CONFIG,
+  CHANGELOG_SECTIONS,
+  UNRELEASED,
+  NOTES_SYSTEM_PROMPT
+};
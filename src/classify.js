@@ -0,0 +1,209 @@
+const path = require('path');
+const { matchesAny } = require('./glob');
+
+/**
+ * Lockfiles by file name, with the pattern that finds the package a diff line belongs to
+ * The first capture group is the package name
+ */
+const LOCKFILES = {
+  'package-lock.json': /^\s*"(?:[^"]*node_modules\/)?((?:@[^/"]+\/)?[^/"]+)": \{\s*$/,
+  'npm-shrinkwrap.json': /^\s*"(?:[^"]*node_modules\/)?((?:@[^/"]+\/)?[^/"]+)": \{\s*$/,
+  'yarn.lock': /^"?((?:@[^@/"\s]+\/)?[^@"\s]+)@/,
+  'pnpm-lock.yaml': /^\s{2,4}'?\/?((?:@[^/@\s]+\/)?[^/@(:'\s]+)[@/]\d/,
+  'bun.lock': /^\s*"((?:@[^/"]+\/)?[^/"@]+)": \[/,
+  'Cargo.lock': /^name = "([^"]+)"/,
+  'poetry.lock': /^name = "([^"]+)"/,
+  'uv.lock': /^name = "([^"]+)"/,
+  'Pipfile.lock': /^\s{8}"([^"]+)": \{/,
+  'Gemfile.lock': /^\s{4}([A-Za-z0-9_.-]+) \(/,
+  'composer.lock': /^\s*"name": "([^"]+)"/,
+  'go.sum': /^(\S+) v/,
+  'mix.lock': /^\s*"([^"]+)": \{/,
+  'Podfile.lock': /^\s{2}- ([^\s(]+)/,
+  'pubspec.lock': /^\s{2}([a-z0-9_]+):\s*$/,
+  'packages.lock.json': /^\s*"([A-Za-z0-9_.-]+)": \{\s*$/,
+  'flake.lock': /^\s*"([A-Za-z0-9_.-]+)": \{\s*$/
+};
+
+/**
+ * Keys inside lockfiles that look like package entries but are not
+ */
+const NOT_PACKAGES = new Set([
+  '', 'packages', 'dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies',
+  'requires', 'engines', 'bin', 'funding', 'default', 'develop', '_meta', 'nodes', 'root', 'locked', 'original'
+]);
+
+/**
+ * Paths of generated files
+ * build/ and out/ only count at the repository root: nested, they are often source directories
+ */
+const GENERATED_PATTERNS = [
+  'dist/', '/build/', '/out/', '.next/', 'coverage/',
+  '*.min.js', '*.min.css', '*.min.mjs', '*.bundle.js', '*.map',
+  '*.snap', '__snapshots__/',
+  '*.pb.go', '*_pb2.py', '*_pb2_grpc.py', '*.pb.cc', '*.pb.h',
+  '*.generated.*', '*.g.dart', '*.freezed.dart', '*.designer.cs'
+];
+
+/**
+ * Paths of vendored (third-party) code
+ */
+const VENDORED_PATTERNS = [
+  'vendor/', 'third_party/', 'third-party/', 'node_modules/', 'bower_components/',
+  'Pods/', 'Carthage/', '.yarn/releases/', '.yarn/cache/'
+];
+
+/**
+ * Markers in the first lines of a file that say it is generated
+ */
+const GENERATED_MARKER = /@generated|\bDO NOT EDIT\b|\bauto-?generated\b|\bgenerated by\b/i;
+
+/**
+ * Lines checked for a generated marker
+ */
+const MARKER_SEARCH_LINES = 10;
+
+/**
+ * Average line length above which a JavaScript or CSS file counts as minified
+ */
+const MINIFIED_LINE_LENGTH = 500;
+
+/**
+ * Get the content lines of a diff (added, removed and context lines, without the +/- prefix)
+ * @param {string} diff - Diff of one file
+ * @returns {{sign: string, text: string}[]} Content lines in order
+ */
+function contentLines(diff) {
+  const lines = [];
+  let inHunk = false;
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('@@')) {
+      inHunk = true;
+    } else if (inHunk && /^[ +-]/.test(line)) {
+      lines.push({ sign: line[0], text: line.substring(1) });
+    }
+  }
+  return lines;
+}
+
+/**
+ * Check whether a file's diff looks generated: a marker near the top of the file,
+ * or the long lines of minified JavaScript or CSS
+ * @param {string} file - File path
+ * @param {string} diff - Diff of the file
+ * @returns {boolean}
+ */
+function looksGenerated(file, diff) {
+  const lines = contentLines(diff);
+
+  // Markers only count near the top of the file, where generators put them
+  const firstHunk = diff.match(/^@@ -\d+(?:,\d+)? \+(\d+)/m);
+  if (firstHunk && Number(firstHunk[1]) <= 1 &&
+      lines.slice(0, MARKER_SEARCH_LINES).some(line => GENERATED_MARKER.test(line.text))) {
+    return true;
+  }
+
+  if (/\.(m?js|cjs|css)$/i.test(file)) {
+    const added = lines.filter(line => line.sign === '+');
+    const averageLength = added.reduce((sum, line) => sum + line.text.length, 0) / (added.length || 1);
+    return averageLength > MINIFIED_LINE_LENGTH;
+  }
+
+  return false;
+}
+
+/**
+ * Decide how a staged file is shown to the model
+ * @param {string} file - File path
+ * @param {string} diff - Diff of the file
+ * @param {Object} [options] - Classification options
+ * @param {Object} [options.attributes] - linguist-generated/linguist-vendored attributes (true, false or undefined)
+ * @param {string[]} [options.include] - Globs of files always shown in full
+ * @returns {string} "code", "lockfile", "generated" or "vendored"
+ */
+function classifyFile(file, diff, options = {}) {
+  const attributes = options.attributes || {};
+
+  if (matchesAny(file, options.include)) {
+    return 'code';
+  }
+  if (LOCKFILES[path.basename(file)]) {
+    return 'lockfile';
+  }
+
+  // .gitattributes wins over the built-in rules in both directions
+  if (attributes.vendored) {
+    return 'vendored';
+  }
+  if (attributes.generated) {
+    return 'generated';
+  }
+  if (attributes.vendored !== false && matchesAny(file, VENDORED_PATTERNS)) {
+    return 'vendored';
+  }
+  if (attributes.generated !== false && (matchesAny(file, GENERATED_PATTERNS) || looksGenerated(file, diff))) {
+    return 'generated';
+  }
+  return 'code';
+}
+
+/**
+ * Count the packages a lockfile diff touches
+ * @param {string} file - Lockfile path
+ * @param {string} diff - Diff of the lockfile
+ * @returns {number} Number of distinct packages with changed lines
+ */
+function countChangedPackages(file, diff) {
+  const pattern = LOCKFILES[path.basename(file)];
+  const changed = new Set();
+  let current = null;
+
+  for (const { sign, text } of contentLines(diff)) {
+    const match = text.match(pattern);
+    if (match && !NOT_PACKAGES.has(match[1])) {
+      current = match[1];
+    }
+    if (sign !== ' ' && current) {
+      changed.add(current);
+    }
+  }
+
+  return changed.size;
+}
+
+/**
+ * Describe a file that is summarised instead of shown in full
+ * @param {string} kind - "lockfile", "generated" or "vendored"
+ * @param {string} file - File path
+ * @param {string} diff - Diff of the file
+ * @param {{added: number, removed: number, status: string}} change - Added and removed lines, and the
+ *   change type (A, M, D, R, C or T) when known
+ * @returns {string} One-line summary, e.g. "lockfile updated: 14 packages changed"
+ */
+function summarizeFile(kind, file, diff, { added, removed, status }) {
+  let action = 'updated';
+  if (status === 'A' || /^new file mode/m.test(diff)) {
+    action = 'added';
+  } else if (status === 'D' || /^deleted file mode/m.test(diff)) {
+    action = 'deleted';
+  }
+
+  if (kind === 'lockfile' && action === 'updated') {
+    const packages = countChangedPackages(file, diff);
+    if (packages > 0) {
+      return `lockfile updated: ${packages} package${packages === 1 ? '' : 's'} changed`;
+    }
+  }
+
+  const label = kind === 'lockfile' ? 'lockfile' : `${kind} file`;
+  return `${label} ${action} (+${added}/-${removed} lines)`;
+}
+
+module.exports = {
+  classifyFile,
+  summarizeFile,
+  countChangedPackages,
+  LOCKFILES,
+  GENERATED_PATTERNS,
+  VENDORED_PATTERNS
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { isGitRepository, getRepoRoot, getRangeCommits, getLatestTag, runGit } = require('../git');
+const { loadConfig, getBudgetDetails } = require('../config');
+const { createProvider } = require('../providers');
+const { CHARS_PER_TOKEN } = require('../tokens');
+const {
+  groupCommits,
+  formatRelease,
+  insertRelease,
+  buildNotesPrompt,
+  parseNotes,
+  UNRELEASED,
+  NOTES_SYSTEM_PROMPT
+} = require('../changelog');
+
+/**
+ * Work out the range to describe: <from>..<to>, <from> meaning <from>..HEAD,
+ * or everything since the latest tag
+ * @param {string} [range] - Revision range or revision
+ * @returns {{range: string, to: string}} Revision range and its end
+ */
+function resolveRange(range) {
+  if (!range) {
+    const tag = getLatestTag();
+    return { range: tag ? `${tag}..HEAD` : 'HEAD', to: 'HEAD' };
+  }
+  if (!range.includes('..')) {
+    return { range: `${range}..HEAD`, to: 'HEAD' };
+  }
+  return { range, to: range.split(/\.{2,3}/)[1] || 'HEAD' };
+}
+
+/**
+ * Name and date the release: --release, the tag the range ends at, or Unreleased
+ * @param {string} to - End of the range
+ * @param {string} [release] - Version given on the command line
+ * @returns {Promise<{version: string, date: string}>} Version name and date (YYYY-MM-DD, empty when unreleased)
+ */
+async function resolveVersion(to, release) {
+  const today = new Date().toISOString().slice(0, 10);
+  if (release) {
+    return { version: release, date: release === UNRELEASED ? '' : today };
+  }
+  try {
+    await runGit(['rev-parse', '--verify', '--quiet', `refs/tags/${to}`]);
+  } catch {
+    return { version: UNRELEASED, date: '' };
+  }
+  // A tag is released on the day its commit was made
+  const date = (await runGit(['log', '-1', '--format=%cs', to, '--'])).trim();
+  return { version: to.replace(/^v(?=\d)/, ''), date: date || today };
+}
+
+/**
+ * Generate a changelog section for the commits of a range
+ * @param {string} [range] - Revision range, e.g. v1.1.0..v1.2.0 (default: since the latest tag)
+ * @param {Object} [options] - Command options
+ * @param {string} [options.release] - Version name (default: the tag the range ends at, or Unreleased)
+ * @param {boolean} [options.notes] - Condense the commits into release notes with the model (default: changelog.notes)
+ * @param {boolean} [options.all] - List internal changes too (default: changelog.includeInternal)
+ * @param {string|boolean} [options.write] - Prepend the section to this file, or to changelog.file when true
+ * @returns {Promise<{version: string, date: string, range: string, sections: Object, entries: Object[], markdown: string, path: string|null}>}
+ *   The release, its entry texts by section, the classified commits, the markdown section
+ *   and the changelog it was written to
+ */
+async function changelog(range, options = {}) {
+  if (!isGitRepository()) {
+    throw new Error('Not a git repository. Please run this command inside a git repository.');
+  }
+
+  const config = loadConfig({ requireApiKey: false });
+  const settings = config.changelog;
+  const resolved = resolveRange(range);
+
+  let commits;
+  try {
+    commits = await getRangeCommits(resolved.range);
+  } catch (error) {
+    throw new Error(`Invalid revision range "${range}": ${error.message.split('\n')[0]}`);
+  }
+  if (commits.length === 0) {
+    throw new Error(`No commits in ${resolved.range}.`);
+  }
+
+  const { version, date } = await resolveVersion(resolved.to, options.release);
+  const includeInternal = options.all !== undefined ? options.all : settings.includeInternal;
+  const grouped = groupCommits(commits, { includeInternal });
+  let sections = grouped.sections;
+
+  if (options.notes !== undefined ? options.notes : settings.notes) {
+    const generationConfig = loadConfig();
+    const provider = createProvider(generationConfig);
+    // Full commit messages share the diff budget; the oldest commits only show their subject beyond it
+    const maxChars = Math.floor(getBudgetDetails(generationConfig).tokens * CHARS_PER_TOKEN);
+    sections = parseNotes(await provider.complete({
+      system: NOTES_SYSTEM_PROMPT,
+      prompt: buildNotesPrompt({ version, sections, commits }, maxChars)
+    }));
+  }
+
+  const markdown = formatRelease({ version, date, sections });
+
+  let filePath = null;
+  if (options.write) {
+    filePath = typeof options.write === 'string'
+      ? path.resolve(options.write)
+      : path.resolve(getRepoRoot(), settings.file);
+    const existing = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : '';
+    fs.writeFileSync(filePath, insertRelease(existing, markdown, version), 'utf-8');
+  }
+
+  return {
+    version,
+    date,
+    range: resolved.range,
+    sections,
+    entries: grouped.entries,
+    markdown,
+    path: filePath
+  };
+}
+
+module.exports = {
+  changelog
+};
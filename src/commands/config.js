@@ -1,4 +1,30 @@
-const { saveApiKey, saveDiffBudget, getDiffBudget, CONFIG_FILE, DEFAULT_CONFIG } = require('../config');
+const {
+  setConfigValue,
+  unsetConfigValue,
+  readScopedConfig,
+  getBudgetDetails,
+  resolveConfig,
+  flattenConfig,
+  DEFAULT_CONFIG
+} = require('../config');
+const { CONFIG_SCHEMA, getOption, parseValue } = require('../config-schema');
+
+/**
+ * Mask a secret so only its prefix and last characters are shown
+ * Objects such as headers keep their keys; each value is masked
+ * @param {string|Object} value - Secret value
+ * @returns {string|Object} Masked value, e.g. "sk-...wxyz"
+ */
+function maskSecret(value) {
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, maskSecret(item)]));
+  }
+  const text = String(value);
+  if (text.length <= 8) {
+    return '********';
+  }
+  return `${text.substring(0, 3)}...${text.substring(text.length - 4)}`;
+}
 
 /**
  * Set the OpenAI API key in the config file
@@ -14,72 +40,211 @@ async function setKey(apiKey) {
     console.log('⚠️  Warning: API key does not start with "sk-". Make sure this is a valid OpenAI API key.');
   }
   
-  saveApiKey(apiKey);
+  const configPath = setConfigValue('apiKey', apiKey);
   
   return {
     success: true,
-    path: CONFIG_FILE
+    path: configPath
   };
 }
 
 /**
- * Set the diff budget (max characters for diff) in the config file
- * @param {string|number} budget - The budget value in characters (can use K suffix like "128K")
+ * Set the diff budget (max tokens for the diff) in the config file
+ * @param {string|number} budget - The budget in tokens (can use K suffix like "32K"), or "auto"
  */
 async function setDiffBudget(budget) {
   if (!budget) {
-    throw new Error('Budget is required. Usage: nullcommits config set-diff-budget 128000 (or 128K)');
+    throw new Error('Budget is required. Usage: nullcommits config set-diff-budget auto (or 32000, 32K)');
   }
   
-  // Parse budget - support K suffix (e.g., "128K" = 128000)
+  // Parse budget - the schema supports "auto" and the K suffix (e.g., "32K" = 32000)
   let parsedBudget;
-  if (typeof budget === 'string') {
-    const match = budget.toUpperCase().match(/^(\d+)(K)?$/);
-    if (match) {
-      parsedBudget = parseInt(match[1], 10);
-      if (match[2] === 'K') {
-        parsedBudget *= 1000;
-      }
-    }
-  } else {
-    parsedBudget = parseInt(budget, 10);
+  try {
+    parsedBudget = parseValue('diffBudget', budget);
+  } catch {
+    throw new Error('Invalid budget value. Must be "auto" or a positive number of tokens (e.g., 32000 or 32K)');
   }
   
-  if (isNaN(parsedBudget) || parsedBudget <= 0) {
-    throw new Error('Invalid budget value. Must be a positive number (e.g., 128000 or 128K)');
-  }
+  const configPath = setConfigValue('diffBudget', parsedBudget);
+  const details = getBudgetDetails();
   
-  // Warn if budget is very small or very large
-  if (parsedBudget < 1000) {
-    console.log('⚠️  Warning: Very small budget may result in highly truncated diffs.');
+  // Warn if budget is very small or does not fit the model
+  if (parsedBudget !== 'auto' && parsedBudget < 300) {
+    console.log('⚠️  Warning: Very small budget may result in highly condensed diffs.');
   }
-  if (parsedBudget > 500000) {
-    console.log('⚠️  Warning: Very large budget may exceed API token limits.');
+  if (details.exceedsContext) {
+    console.log(
+      `⚠️  Warning: ${details.model} has a ${details.contextWindow} token context window, which leaves ` +
+      `room for ${Math.max(0, details.available)} diff tokens after the template and reply. ` +
+      'Use "auto" to fit the budget to the model.'
+    );
   }
   
-  saveDiffBudget(parsedBudget);
-  
   return {
     success: true,
     budget: parsedBudget,
-    path: CONFIG_FILE
+    details,
+    path: configPath
   };
 }
 
 /**
- * Show the current diff budget
+ * Show the current diff budget and how it fits the model's context window
  */
 async function showDiffBudget() {
-  const budget = getDiffBudget();
+  const details = getBudgetDetails();
+  const { config } = resolveConfig();
   return {
-    budget,
+    budget: details.tokens,
+    setting: config.diffBudget,
+    details,
     default: DEFAULT_CONFIG.diffBudget,
-    isDefault: budget === DEFAULT_CONFIG.diffBudget
+    isDefault: config.diffBudget === DEFAULT_CONFIG.diffBudget
+  };
+}
+
+/**
+ * Show every effective config value and the layer it came from
+ */
+async function showConfig() {
+  const { config, origins, files } = resolveConfig();
+  const entries = Object.entries(flattenConfig(config)).map(([key, value]) => ({
+    key,
+    value: CONFIG_SCHEMA[key]?.secret ? maskSecret(value) : value,
+    origin: origins[key]
+  }));
+
+  return {
+    entries,
+    files
+  };
+}
+
+/**
+ * Pick the config scope from --global/--local flags
+ * @param {Object} options - Command options
+ * @param {string|null} fallback - Scope to use when neither flag is given
+ * @returns {string|null} "global", "local" or the fallback
+ */
+function resolveScope(options, fallback) {
+  if (options.global && options.local) {
+    throw new Error('Use either --global or --local, not both.');
+  }
+  if (options.global) {
+    return 'global';
+  }
+  if (options.local) {
+    return 'local';
+  }
+  return fallback;
+}
+
+/**
+ * Get a config value: the effective value, or the value stored in one file
+ * @param {string} key - Dotted option name
+ * @param {Object} [options] - Command options (--global/--local)
+ */
+async function getConfig(key, options = {}) {
+  const option = getOption(key);
+  const scope = resolveScope(options, null);
+
+  let value;
+  let origin;
+  if (scope) {
+    value = readScopedConfig(scope).values[key];
+    origin = scope;
+  } else {
+    const { config, origins } = resolveConfig();
+    value = flattenConfig(config)[key];
+    origin = origins[key];
+  }
+
+  return {
+    key,
+    value: option.secret && value !== undefined ? maskSecret(value) : value,
+    origin,
+    isSet: value !== undefined
+  };
+}
+
+/**
+ * Set a config value in the global (default) or repository config file
+ * @param {string} key - Dotted option name
+ * @param {string} rawValue - Value as typed on the command line
+ * @param {Object} [options] - Command options (--global/--local)
+ */
+async function setConfig(key, rawValue, options = {}) {
+  const value = parseValue(key, rawValue);
+  const scope = resolveScope(options, 'global');
+  const configPath = setConfigValue(key, value, scope);
+
+  return {
+    key,
+    value: getOption(key).secret ? maskSecret(value) : value,
+    scope,
+    path: configPath
+  };
+}
+
+/**
+ * Remove a config value from the global (default) or repository config file
+ * @param {string} key - Dotted option name
+ * @param {Object} [options] - Command options (--global/--local)
+ */
+async function unsetConfig(key, options = {}) {
+  const scope = resolveScope(options, 'global');
+  const result = unsetConfigValue(key, scope);
+
+  return {
+    key,
+    scope,
+    ...result
+  };
+}
+
+/**
+ * List config options: every option with its effective value and description,
+ * or only the values stored in one file when a scope is given
+ * @param {Object} [options] - Command options (--global/--local)
+ */
+async function listConfig(options = {}) {
+  const scope = resolveScope(options, null);
+
+  if (scope) {
+    const { values, path: configPath } = readScopedConfig(scope);
+    return {
+      scope,
+      path: configPath,
+      entries: Object.entries(values).map(([key, value]) => ({
+        key,
+        value: CONFIG_SCHEMA[key]?.secret ? maskSecret(value) : value,
+        description: CONFIG_SCHEMA[key]?.description || '(unknown key)'
+      }))
+    };
+  }
+
+  const { config, origins } = resolveConfig();
+  const flat = flattenConfig(config);
+  return {
+    scope: null,
+    path: null,
+    entries: Object.entries(CONFIG_SCHEMA).map(([key, option]) => ({
+      key,
+      value: option.secret && flat[key] !== undefined ? maskSecret(flat[key]) : flat[key],
+      origin: origins[key],
+      type: option.choices ? option.choices.join('|') : `${option.type}${option.auto ? '|auto' : ''}`,
+      description: option.description
+    }))
   };
 }
 
 module.exports = {
   setKey,
+  showConfig,
+  getConfig,
+  setConfig,
+  unsetConfig,
+  listConfig,
   setDiffBudget,
   showDiffBudget
 };
\ No newline at end of file
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const { isGitRepository } = require('../git');
+const { enhanceMessage } = require('../hook-runner');
+const { parseMessageFile } = require('../trailers');
+
+/**
+ * Generate a commit message for the staged changes without committing
+ * @param {Object} options - Command options
+ * @param {string} [options.message] - Original commit message to enhance
+ * @param {string} [options.output] - Write the generated message to this file
+ */
+async function generate(options = {}) {
+  // Check if we're in a git repository
+  if (!isGitRepository()) {
+    throw new Error('Not a git repository. Please run this command inside a git repository.');
+  }
+
+  // Trailers in the message (e.g. Signed-off-by) are kept as they are; like git commit -m,
+  // lines starting with # are part of the message
+  const { message: originalMessage, trailers } = parseMessageFile(options.message || '', { edited: false });
+  const result = await enhanceMessage(originalMessage, { trailers });
+
+  if (!result) {
+    throw new Error('No staged changes found. Stage your changes with "git add" first.');
+  }
+
+  if (options.output) {
+    fs.writeFileSync(options.output, result.message + '\n', 'utf-8');
+  }
+
+  return {
+    ...result,
+    originalMessage,
+    path: options.output || null
+  };
+}
+
+module.exports = {
+  generate
+};
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const { isGitRepository, getDefaultBranch, getRangeCommits, runGit } = require('../git');
+const { loadConfig } = require('../config');
+const { collectChanges, condenseChanges } = require('../hook-runner');
+const { renderTemplate, createPartialLoader } = require('../template');
+const { createProvider } = require('../providers');
+const { resolveTicket, applyTicket } = require('../ticket');
+const { loadPrTemplate, buildPrContext, parsePullRequest, PR_SYSTEM_PROMPT } = require('../pr');
+
+/**
+ * Find the branch to compare with: --base, then pr.base, then the default branch
+ * @param {string} [base] - Branch given on the command line
+ * @param {Object} settings - pr settings
+ * @returns {Promise<string>} Branch or commit name
+ */
+async function resolveBase(base, settings) {
+  const name = base || (settings.base === 'auto' ? getDefaultBranch() : settings.base);
+  if (!name) {
+    throw new Error('Could not find the branch to compare with. Pass --base <branch> or set pr.base.');
+  }
+  try {
+    await runGit(['rev-parse', '--verify', '--quiet', `${name}^{commit}`]);
+  } catch {
+    throw new Error(`Unknown base branch "${name}".`);
+  }
+  return name;
+}
+
+/**
+ * Build the pull request prompt for the current branch
+ * @param {Object} [options] - Command options
+ * @param {string} [options.base] - Branch the pull request targets
+ * @returns {Promise<{prompt: string, base: string, commits: Object[], fileCount: number, ticket: string, template: Object}>}
+ *   The prompt, the base branch, the commits and number of files it covers, the branch's ticket
+ *   and the template it came from
+ */
+async function buildPrPrompt(options = {}) {
+  if (!isGitRepository()) {
+    throw new Error('Not a git repository. Please run this command inside a git repository.');
+  }
+
+  const config = loadConfig({ requireApiKey: false });
+  const base = await resolveBase(options.base, config.pr);
+  const commits = await getRangeCommits(`${base}..HEAD`);
+  if (commits.length === 0) {
+    throw new Error(`No commits on this branch since ${base}.`);
+  }
+
+  // The cumulative diff goes through the same budget, redaction and large-commit summaries as a commit
+  const changes = await collectChanges({ since: base });
+  if (!changes) {
+    throw new Error(`No changes on this branch since ${base}.`);
+  }
+  const log = commits.map(commit => commit.message).join('\n\n');
+  const { diff } = await condenseChanges(changes, log);
+
+  const ticket = resolveTicket('', config.ticket);
+  const template = loadPrTemplate();
+  const context = buildPrContext({
+    base,
+    commits: commits.slice(-config.pr.maxCommits),
+    diff,
+    commitCount: commits.length,
+    fileStats: changes.fileStats,
+    ticket
+  });
+  const prompt = renderTemplate(template.content, context, {
+    loadPartial: createPartialLoader(template.path)
+  });
+
+  return { prompt, base, commits, fileCount: changes.fileCount, ticket, template };
+}
+
+/**
+ * Generate a pull request title and description for the current branch
+ * @param {Object} [options] - Command options
+ * @param {string} [options.base] - Branch the pull request targets (default: pr.base or the default branch)
+ * @param {string} [options.output] - Write the title and description to this file
+ * @returns {Promise<{title: string, body: string, base: string, commitCount: number, fileCount: number, path: string|null}>}
+ *   The title and markdown body, what they describe and where they were written
+ */
+async function generatePullRequest(options = {}) {
+  const { prompt, base, commits, fileCount, ticket } = await buildPrPrompt(options);
+  const config = loadConfig();
+  const provider = createProvider(config);
+
+  let { title, body } = parsePullRequest(await provider.complete({
+    system: PR_SYSTEM_PROMPT,
+    prompt
+  }));
+  if (!title) {
+    throw new Error('The model returned an empty pull request description.');
+  }
+  // Only the prefix placement makes sense for a title; trailers belong to commits
+  if (config.ticket.placement === 'prefix') {
+    title = applyTicket(title, ticket, config.ticket);
+  }
+
+  if (options.output) {
+    fs.writeFileSync(options.output, `${title}\n\n${body}\n`, 'utf-8');
+  }
+
+  return {
+    title,
+    body,
+    base,
+    commitCount: commits.length,
+    fileCount,
+    path: options.output || null
+  };
+}
+
+module.exports = {
+  generatePullRequest,
+  buildPrPrompt
+};
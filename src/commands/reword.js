@@ -0,0 +1,184 @@
+const fs = require('fs');
+const {
+  isGitRepository,
+  getGitPath,
+  getCurrentBranch,
+  listCommits,
+  readCommit,
+  createCommit,
+  getRemoteBranchesContaining,
+  runGit
+} = require('../git');
+const { loadConfig } = require('../config');
+const { enhanceMessage } = require('../hook-runner');
+const { findSkipReason } = require('../skip');
+const { splitTrailers } = require('../trailers');
+
+/**
+ * Prompt instruction for messages of commits that already exist
+ */
+const REWORD_INSTRUCTION = 'This commit is already part of the history; its original message may be a placeholder ' +
+  'such as "wip". Write the message from its diff.';
+
+/**
+ * Files in the git directory that mean another history operation is in progress
+ */
+const IN_PROGRESS_MARKERS = [
+  ['MERGE_HEAD', 'a merge'],
+  ['rebase-merge', 'a rebase'],
+  ['rebase-apply', 'a rebase'],
+  ['CHERRY_PICK_HEAD', 'a cherry-pick'],
+  ['REVERT_HEAD', 'a revert']
+];
+
+/**
+ * Turn a single revision into a range ending at HEAD, like "git rebase -i HEAD~3"
+ * @param {string} range - Revision range or revision
+ * @returns {string} Revision range
+ */
+function normalizeRange(range) {
+  return range.includes('..') ? range : `${range}..HEAD`;
+}
+
+/**
+ * Resolve a revision to a commit ID
+ * @param {string} revision - Revision
+ * @returns {Promise<string>} Commit ID
+ */
+async function resolveCommit(revision) {
+  return (await runGit(['rev-parse', '--verify', '--quiet', `${revision}^{commit}`])).trim();
+}
+
+/**
+ * Generate new messages for the commits of a range without changing anything yet
+ * @param {string} range - Revision range, e.g. main..HEAD, or a revision meaning <revision>..HEAD
+ * @param {Object} [options] - Reword options
+ * @param {boolean} [options.force] - Allow commits that are already on a remote
+ * @param {Function} [options.onProgress] - Called with (commit, index, total) before each message is generated
+ * @returns {Promise<{range: string, head: string, branch: string, replay: Object[], commits: Object[]}>}
+ *   The plan: HEAD and branch it applies to, every commit that has to be re-created
+ *   and, for each commit in the range, its message before and after
+ */
+async function planReword(range, options = {}) {
+  if (!isGitRepository()) {
+    throw new Error('Not a git repository. Please run this command inside a git repository.');
+  }
+
+  for (const [marker, operation] of IN_PROGRESS_MARKERS) {
+    if (fs.existsSync(getGitPath(marker))) {
+      throw new Error(`Cannot reword commits while ${operation} is in progress. Finish or abort it first.`);
+    }
+  }
+
+  let commits;
+  try {
+    commits = await listCommits(normalizeRange(range));
+  } catch (error) {
+    throw new Error(`Invalid revision range "${range}": ${error.message.split('\n')[0]}`);
+  }
+  if (commits.length === 0) {
+    throw new Error(`No commits in ${normalizeRange(range)}.`);
+  }
+
+  // Every commit from the oldest reworded one up to HEAD is re-created on top of the new messages
+  const head = await resolveCommit('HEAD');
+  const [oldest] = commits;
+  const replay = await listCommits(oldest.parents.length > 0 ? `${oldest.parents[0]}..${head}` : head);
+  const replayed = new Set(replay.map(commit => commit.sha));
+
+  const outside = commits.find(commit => !replayed.has(commit.sha));
+  if (outside) {
+    throw new Error(`Commit ${outside.sha.slice(0, 7)} is not on the current branch; reword only rewrites commits below HEAD.`);
+  }
+  const merge = replay.find(commit => commit.parents.length > 1);
+  if (merge) {
+    throw new Error(`Commit ${merge.sha.slice(0, 7)} is a merge; reword only rewrites linear history.`);
+  }
+
+  const remotes = await getRemoteBranchesContaining(oldest.sha);
+  if (remotes.length > 0 && !options.force) {
+    throw new Error(
+      `Commit ${oldest.sha.slice(0, 7)} is already on ${remotes.join(', ')}. Rewriting published commits ` +
+      'breaks every other clone; pass --force to rewrite them anyway.'
+    );
+  }
+
+  const config = loadConfig();
+  const planned = [];
+  for (const [index, { sha }] of commits.entries()) {
+    const commit = await readCommit(sha);
+    const { body, trailers } = splitTrailers(commit.message);
+    if (options.onProgress) {
+      options.onProgress(commit, index, commits.length);
+    }
+
+    // fixup!/squash! commits and messages that are already good are kept, like in the hook
+    const skip = findSkipReason({ message: body, source: 'commit' }, config);
+    const result = skip ? null : await enhanceMessage(body, { commit: sha, instruction: REWORD_INSTRUCTION, trailers });
+
+    planned.push({
+      sha,
+      before: commit.message,
+      after: result ? result.message : commit.message,
+      skipped: skip ? skip.reason : (result ? '' : 'no changes to describe')
+    });
+  }
+
+  return {
+    range: normalizeRange(range),
+    head,
+    branch: getCurrentBranch(),
+    replay,
+    commits: planned
+  };
+}
+
+/**
+ * Rewrite the history with the planned messages
+ * Trees and authors are kept, so the index and working tree are not touched; the old
+ * HEAD is kept under refs/nullcommits/backup/ so the rewrite can be undone
+ * @param {Object} plan - Plan from planReword
+ * @returns {Promise<{head: string, backupRef: string, rewritten: number}>} The new HEAD, the backup ref
+ *   and how many messages changed
+ */
+async function applyReword(plan) {
+  if (await resolveCommit('HEAD') !== plan.head) {
+    throw new Error('HEAD moved while the messages were generated. Run reword again.');
+  }
+
+  const messages = new Map(plan.commits
+    .filter(commit => commit.after !== commit.before)
+    .map(commit => [commit.sha, commit.after]));
+  if (messages.size === 0) {
+    return { head: plan.head, backupRef: '', rewritten: 0 };
+  }
+
+  const rewritten = new Map();
+  let newHead = plan.head;
+  for (const { sha } of plan.replay) {
+    const commit = await readCommit(sha);
+    const parents = commit.parents.map(parent => rewritten.get(parent) || parent);
+    const message = messages.has(sha) ? messages.get(sha) : commit.message;
+
+    // Commits before the first changed message stay as they are
+    if (message === commit.message && parents.every((parent, index) => parent === commit.parents[index])) {
+      newHead = sha;
+      continue;
+    }
+    newHead = await createCommit({ tree: commit.tree, parents, author: commit.author, message });
+    rewritten.set(sha, newHead);
+  }
+
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '').replace('T', '-');
+  const backupRef = `refs/nullcommits/backup/${plan.branch || 'HEAD'}-${stamp}`;
+  await runGit(['update-ref', '-m', 'nullcommits reword: backup', backupRef, plan.head]);
+  // Updating HEAD moves the checked-out branch; the old value guards against a concurrent commit
+  await runGit(['update-ref', '-m', `nullcommits reword ${plan.range}`, 'HEAD', newHead, plan.head]);
+
+  return { head: newHead, backupRef, rewritten: messages.size };
+}
+
+module.exports = {
+  planReword,
+  applyReword
+};
@@ -0,0 +1,27 @@
+const { isGitRepository } = require('../git');
+const { loadConfig } = require('../config');
+const { learnStyle, describeStyle } = require('../style');
+
+/**
+ * Show the commit style learned from the repository history
+ * @param {Object} options - Command options
+ * @param {boolean} [options.refresh] - Recompute the style instead of using the cache
+ */
+async function showStyle(options = {}) {
+  if (!isGitRepository()) {
+    throw new Error('Not a git repository. Please run this command inside a git repository.');
+  }
+
+  const settings = loadConfig({ requireApiKey: false }).style;
+  const result = learnStyle(settings, { refresh: options.refresh });
+
+  return {
+    ...result,
+    enabled: settings.enabled,
+    guide: describeStyle(result.profile)
+  };
+}
+
+module.exports = {
+  showStyle
+};
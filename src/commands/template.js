@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  loadConfig,
+  loadTemplate,
+  getTemplateCandidates,
+  getPresetPath,
+  getDiffBudget,
+  GLOBAL_TEMPLATE_FILE,
+  LOCAL_TEMPLATE_FILE
+} = require('../config');
+const { isGitRepository, getRepoRoot } = require('../git');
+const { analyzeTemplate, createPartialLoader } = require('../template');
+const { sampleTemplateContext, TEMPLATE_PRESETS } = require('../prompt');
+const { buildPrompt, SYSTEM_PROMPT } = require('../generator');
+const { collectChanges } = require('../hook-runner');
+const { estimateTokens } = require('../tokens');
+
+/**
+ * Share of the diff budget a template may take before validate warns about it
+ */
+const TEMPLATE_SIZE_WARNING_RATIO = 0.25;
+
+/**
+ * Load the options that decide which template is active
+ * @returns {{conventional: boolean, preset: string|undefined}} Template options
+ */
+function getTemplateOptions() {
+  const config = loadConfig({ requireApiKey: false });
+  return { conventional: config.conventional.enabled, preset: config.template };
+}
+
+/**
+ * Find a template by name: "local", "global", a preset name or a file path
+ * Without a name, the template nullcommits would use right now
+ * @param {string} [name] - Template name or path
+ * @returns {{content: string, source: string, path: string}} Template content and source info
+ */
+function findTemplate(name) {
+  if (!name) {
+    return loadTemplate(getTemplateOptions());
+  }
+
+  let templatePath;
+  let source;
+  if (name === 'local' || name === 'global') {
+    templatePath = getTemplateCandidates().find(candidate => candidate.source === name).path;
+    source = name;
+  } else if (TEMPLATE_PRESETS[name]) {
+    templatePath = getPresetPath(name);
+    source = 'bundled';
+  } else {
+    templatePath = path.resolve(name);
+    source = 'file';
+  }
+
+  if (!templatePath || !fs.existsSync(templatePath)) {
+    throw new Error(
+      `Template "${name}" not found. Use "local", "global", a file path or one of the presets: ` +
+      Object.keys(TEMPLATE_PRESETS).join(', ')
+    );
+  }
+
+  return {
+    content: fs.readFileSync(templatePath, 'utf-8'),
+    source,
+    path: templatePath
+  };
+}
+
+/**
+ * List the template files and presets, marking the one loadTemplate resolves
+ */
+async function listTemplates() {
+  const options = getTemplateOptions();
+  const candidates = getTemplateCandidates(options);
+  const active = candidates.find(({ exists, skipped }) => exists && !skipped);
+
+  return {
+    candidates: candidates.map(candidate => ({
+      ...candidate,
+      active: candidate === active
+    })),
+    presets: Object.entries(TEMPLATE_PRESETS).map(([name, description]) => ({
+      name,
+      description,
+      path: getPresetPath(name),
+      selected: active.source === 'bundled' && active.name === name
+    }))
+  };
+}
+
+/**
+ * Show the content of a template
+ * @param {string} [name] - Template name or path (defaults to the active template)
+ */
+async function showTemplate(name) {
+  return findTemplate(name);
+}
+
+/**
+ * Check a template for syntax errors, unknown variables, missing placeholders
+ * and a size that leaves too little room for the diff
+ * @param {string} [name] - Template name or path (defaults to the active template)
+ */
+async function validateTemplate(name) {
+  const template = findTemplate(name);
+  const { conventional } = getTemplateOptions();
+  const style = loadConfig({ requireApiKey: false }).style.enabled;
+  const diffBudget = getDiffBudget();
+  const errors = [];
+  const warnings = [];
+
+  let analysis;
+  try {
+    analysis = analyzeTemplate(template.content, sampleTemplateContext(), {
+      loadPartial: createPartialLoader(template.path)
+    });
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  if (analysis) {
+    for (const variable of analysis.unknown) {
+      errors.push(`Unknown variable {{${variable}}}`);
+    }
+    if (!analysis.used.has('DIFF')) {
+      errors.push('{{DIFF}} is never used, so the model would not see your changes');
+    }
+    if (!analysis.used.has('ORIGINAL_MESSAGE')) {
+      warnings.push('{{ORIGINAL_MESSAGE}} is never used, so your own message is ignored');
+    }
+    if (!analysis.used.has('MULTI_LINE_INSTRUCTION')) {
+      warnings.push('{{MULTI_LINE_INSTRUCTION}} is never used, so large commits get no multi-line instruction');
+    }
+    if (conventional && !analysis.used.has('CONVENTIONAL_INSTRUCTION')) {
+      warnings.push('{{CONVENTIONAL_INSTRUCTION}} is never used; conventional mode will append its rules at the end');
+    }
+    if (style && !analysis.used.has('STYLE_GUIDE')) {
+      warnings.push('{{STYLE_GUIDE}} is never used; the learned commit style will be appended at the end');
+    }
+  }
+
+  const templateSize = estimateTokens(template.content);
+  if (templateSize > diffBudget * TEMPLATE_SIZE_WARNING_RATIO) {
+    warnings.push(
+      `The template (~${templateSize} tokens) is more than ${TEMPLATE_SIZE_WARNING_RATIO * 100}% of the ` +
+      `diff budget (${diffBudget} tokens); consider a shorter template or a larger budget`
+    );
+  }
+
+  return {
+    ...template,
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    templateSize,
+    diffBudget
+  };
+}
+
+/**
+ * Render the exact prompt nullcommits would send for the staged changes
+ * @param {Object} [options] - Command options
+ * @param {string} [options.message] - Original commit message to use
+ */
+async function renderTemplatePreview(options = {}) {
+  if (!isGitRepository()) {
+    throw new Error('Not a git repository. Please run this command inside a git repository.');
+  }
+
+  const changes = await collectChanges();
+  if (!changes) {
+    throw new Error('No staged changes found. Stage your changes with "git add" first.');
+  }
+
+  const config = loadConfig({ requireApiKey: false });
+  const { prompt, template } = buildPrompt(
+    (options.message || '').trim(),
+    changes.diff,
+    changes.multiLineInstruction,
+    { files: changes.files, fileStats: changes.fileStats, config }
+  );
+
+  return {
+    system: SYSTEM_PROMPT,
+    prompt,
+    template,
+    fileCount: changes.fileCount,
+    totalLinesChanged: changes.totalLinesChanged,
+    promptTokens: estimateTokens(SYSTEM_PROMPT) + estimateTokens(prompt),
+    diffTokens: changes.diffTokens,
+    budget: changes.budget,
+    largeCommit: changes.largeCommit
+  };
+}
+
+/**
+ * Create a template file from a preset
+ * @param {Object} [options] - Command options
+ * @param {boolean} [options.local] - Create .nullcommits.template in the repository root instead of ~/.nullcommits.template
+ * @param {string} [options.preset] - Preset to copy (default: "default")
+ * @param {boolean} [options.force] - Overwrite an existing template
+ */
+async function initTemplate(options = {}) {
+  const preset = options.preset || 'default';
+  const presetPath = getPresetPath(preset);
+
+  let templatePath = GLOBAL_TEMPLATE_FILE;
+  if (options.local) {
+    const repoRoot = getRepoRoot();
+    if (!repoRoot) {
+      throw new Error('Not a git repository. Run "template init --local" inside a git repository.');
+    }
+    templatePath = path.join(repoRoot, LOCAL_TEMPLATE_FILE);
+  }
+
+  if (fs.existsSync(templatePath) && !options.force) {
+    return {
+      created: false,
+      path: templatePath,
+      preset
+    };
+  }
+
+  fs.writeFileSync(templatePath, fs.readFileSync(presetPath, 'utf-8'), 'utf-8');
+
+  return {
+    created: true,
+    path: templatePath,
+    preset
+  };
+}
+
+module.exports = {
+  listTemplates,
+  showTemplate,
+  validateTemplate,
+  renderTemplatePreview,
+  initTemplate
+};
@@ -0,0 +1,387 @@
+const path = require('path');
+
+/**
+ * Context lines kept around each change in the first condensing pass
+ */
+const REDUCED_CONTEXT = 1;
+
+/**
+ * Hunks with at least this many changed lines are checked for repetition
+ */
+const REPETITIVE_MIN_LINES = 20;
+
+/**
+ * Share of distinct lines (after normalising numbers and strings) below which a hunk counts as repetitive
+ */
+const REPETITIVE_MAX_DISTINCT_RATIO = 0.2;
+
+/**
+ * Average changed-line length above which a hunk counts as minified/generated
+ */
+const MINIFIED_LINE_LENGTH = 300;
+
+/**
+ * Keywords that look like calls in C-like languages but are not declarations
+ */
+const NOT_DECLARATIONS = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'else', 'new', 'typeof', 'sizeof']);
+
+/**
+ * Declaration patterns per language; the first capture group is the declared name
+ */
+const JS_SIGNATURES = [
+  { kind: 'function', pattern: /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([\w$]+)/ },
+  { kind: 'class', pattern: /^\s*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+([\w$]+)/ },
+  { kind: 'interface', pattern: /^\s*(?:export\s+)?(?:interface|type|enum)\s+([\w$]+)/ },
+  { kind: 'function', pattern: /^\s*(?:export\s+)?(?:const|let|var)\s+([\w$]+)\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[\w$]+\s*=>)/ },
+  { kind: 'method', pattern: /^\s*(?:(?:static|async|get|set|public|private|protected|readonly|override)\s+)*([\w$]+)\s*\([^)]*\)\s*(?::\s*[^{]+)?\{\s*$/ }
+];
+
+const PYTHON_SIGNATURES = [
+  { kind: 'function', pattern: /^\s*(?:async\s+)?def\s+(\w+)/ },
+  { kind: 'class', pattern: /^\s*class\s+(\w+)/ }
+];
+
+const GO_SIGNATURES = [
+  { kind: 'function', pattern: /^func\s+(?:\([^)]*\)\s*)?(\w+)/ },
+  { kind: 'type', pattern: /^type\s+(\w+)\s+(?:struct|interface)/ }
+];
+
+const RUBY_SIGNATURES = [
+  { kind: 'method', pattern: /^\s*def\s+(?:self\.)?([\w?!=]+)/ },
+  { kind: 'class', pattern: /^\s*(?:class|module)\s+([\w:]+)/ }
+];
+
+const RUST_SIGNATURES = [
+  { kind: 'function', pattern: /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:const\s+)?(?:async\s+)?(?:unsafe\s+)?fn\s+(\w+)/ },
+  { kind: 'type', pattern: /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:struct|enum|trait|union)\s+(\w+)/ },
+  { kind: 'impl', pattern: /^\s*impl(?:<[^>]*>)?\s+([\w:<>]+)/ }
+];
+
+const JVM_SIGNATURES = [
+  { kind: 'class', pattern: /^\s*(?:(?:public|private|protected|internal|static|final|abstract|sealed|data|open|partial)\s+)*(?:class|interface|enum|record|object|struct)\s+(\w+)/ },
+  { kind: 'function', pattern: /^\s*(?:(?:public|private|protected|internal|override|suspend|open|inline)\s+)*(?:fun|func)\s+(?:<[^>]*>\s*)?(?:[\w.]+\.)?(\w+)/ },
+  { kind: 'method', pattern: /^\s*(?:(?:public|private|protected|internal|static|final|abstract|override|virtual|async|synchronized)\s+)+[\w<>[\],.?\s]*?\b(\w+)\s*\(/ }
+];
+
+const PHP_SIGNATURES = [
+  { kind: 'function', pattern: /^\s*(?:(?:public|private|protected|static|abstract|final)\s+)*function\s+&?(\w+)/ },
+  { kind: 'class', pattern: /^\s*(?:(?:abstract|final)\s+)?(?:class|interface|trait|enum)\s+(\w+)/ }
+];
+
+const C_SIGNATURES = [
+  { kind: 'type', pattern: /^\s*(?:typedef\s+)?(?:struct|class|union|enum)\s+(\w+)\s*(?::[^{;]*)?\{?\s*$/ },
+  { kind: 'function', pattern: /^(?:[\w*&:<>,]+\s+)+\**&?([\w:~]+)\s*\([^;]*\)?\s*(?:const\s*)?\{?\s*$/ }
+];
+
+/**
+ * Declaration patterns by file extension
+ */
+const SIGNATURES_BY_EXTENSION = {
+  '.js': JS_SIGNATURES, '.jsx': JS_SIGNATURES, '.mjs': JS_SIGNATURES, '.cjs': JS_SIGNATURES,
+  '.ts': JS_SIGNATURES, '.tsx': JS_SIGNATURES, '.mts': JS_SIGNATURES, '.cts': JS_SIGNATURES,
+  '.vue': JS_SIGNATURES, '.svelte': JS_SIGNATURES,
+  '.py': PYTHON_SIGNATURES,
+  '.go': GO_SIGNATURES,
+  '.rb': RUBY_SIGNATURES,
+  '.rs': RUST_SIGNATURES,
+  '.java': JVM_SIGNATURES, '.kt': JVM_SIGNATURES, '.kts': JVM_SIGNATURES, '.scala': JVM_SIGNATURES,
+  '.cs': JVM_SIGNATURES, '.swift': JVM_SIGNATURES,
+  '.php': PHP_SIGNATURES,
+  '.c': C_SIGNATURES, '.h': C_SIGNATURES, '.cc': C_SIGNATURES, '.cpp': C_SIGNATURES,
+  '.cxx': C_SIGNATURES, '.hpp': C_SIGNATURES, '.hh': C_SIGNATURES, '.m': C_SIGNATURES
+};
+
+/**
+ * Split a single file's diff into its header and hunks
+ * @param {string} diff - Diff of one file
+ * @returns {{header: string[], hunks: {header: string, lines: string[]}[]}} Parsed diff
+ */
+function parseFileDiff(diff) {
+  const header = [];
+  const hunks = [];
+
+  for (const line of diff.replace(/\n$/, '').split('\n')) {
+    if (line.startsWith('@@')) {
+      hunks.push({ header: line, lines: [] });
+    } else if (hunks.length > 0) {
+      hunks[hunks.length - 1].lines.push(line);
+    } else {
+      header.push(line);
+    }
+  }
+
+  return { header, hunks };
+}
+
+/**
+ * Check whether a hunk line is an added or removed line
+ * @param {string} line - Hunk line
+ * @returns {boolean}
+ */
+function isChange(line) {
+  return line.startsWith('+') || line.startsWith('-');
+}
+
+/**
+ * Count the added and removed lines of a hunk
+ * @param {Object} hunk - Parsed hunk
+ * @returns {{added: number, removed: number}}
+ */
+function countChanges(hunk) {
+  let added = 0;
+  let removed = 0;
+  for (const line of hunk.lines) {
+    if (line.startsWith('+')) {
+      added++;
+    } else if (line.startsWith('-')) {
+      removed++;
+    }
+  }
+  return { added, removed };
+}
+
+/**
+ * Drop context lines further than `keep` lines from any change
+ * Each run of dropped lines becomes a single " ..." line
+ * @param {Object} hunk - Parsed hunk
+ * @param {number} keep - Context lines to keep on each side of a change
+ * @returns {Object} Hunk with reduced context
+ */
+function reduceContext(hunk, keep) {
+  const { lines } = hunk;
+  const near = new Array(lines.length).fill(false);
+
+  lines.forEach((line, index) => {
+    if (isChange(line) || line.startsWith('\\')) {
+      for (let i = Math.max(0, index - keep); i <= Math.min(lines.length - 1, index + keep); i++) {
+        near[i] = true;
+      }
+    }
+  });
+
+  const reduced = [];
+  lines.forEach((line, index) => {
+    if (near[index]) {
+      reduced.push(line);
+    } else if (reduced[reduced.length - 1] !== ' ...') {
+      reduced.push(' ...');
+    }
+  });
+
+  return { ...hunk, lines: reduced };
+}
+
+/**
+ * Check whether a hunk is generated or repetitive: minified code, or many
+ * changed lines that only differ in numbers, hashes or string contents
+ * @param {Object} hunk - Parsed hunk
+ * @returns {boolean}
+ */
+function isRepetitive(hunk) {
+  const changed = hunk.lines.filter(isChange);
+  if (changed.length === 0) {
+    return false;
+  }
+
+  const averageLength = changed.reduce((sum, line) => sum + line.length, 0) / changed.length;
+  if (averageLength > MINIFIED_LINE_LENGTH) {
+    return true;
+  }
+  if (changed.length < REPETITIVE_MIN_LINES) {
+    return false;
+  }
+
+  const distinct = new Set(changed.map(line => line
+    .substring(1)
+    .replace(/(["'`])(?:\\.|(?!\1).)*\1/g, '""')
+    .replace(/\b[0-9a-f]{7,}\b/gi, 'H')
+    .replace(/\d+(\.\d+)?/g, '0')
+    .trim()));
+  return distinct.size / changed.length < REPETITIVE_MAX_DISTINCT_RATIO;
+}
+
+/**
+ * Find the functions, classes and types declared on changed lines
+ * @param {Object[]} hunks - Parsed hunks
+ * @param {string} file - File path (selects the language)
+ * @returns {string[]} Descriptions like "added function foo" or "changed class Bar"
+ */
+function findChangedSignatures(hunks, file) {
+  const patterns = SIGNATURES_BY_EXTENSION[path.extname(file).toLowerCase()];
+  if (!patterns) {
+    return [];
+  }
+
+  const found = new Map();
+  for (const hunk of hunks) {
+    for (const line of hunk.lines) {
+      if (!isChange(line)) {
+        continue;
+      }
+      for (const { kind, pattern } of patterns) {
+        const match = line.substring(1).match(pattern);
+        if (match && !NOT_DECLARATIONS.has(match[1])) {
+          const key = `${kind} ${match[1]}`;
+          const signs = found.get(key) || new Set();
+          signs.add(line[0]);
+          found.set(key, signs);
+          break;
+        }
+      }
+    }
+  }
+
+  return [...found].map(([key, signs]) => {
+    if (signs.size > 1) {
+      return `changed ${key}`;
+    }
+    return `${signs.has('+') ? 'added' : 'removed'} ${key}`;
+  });
+}
+
+/**
+ * Replace a hunk's lines with a one-line summary, keeping its header
+ * @param {Object} hunk - Parsed hunk
+ * @param {string} file - File path
+ * @param {string} reason - Why the hunk was summarised
+ * @returns {Object} Summarised hunk
+ */
+function summarizeHunk(hunk, file, reason) {
+  const { added, removed } = countChanges(hunk);
+  const signatures = findChangedSignatures([hunk], file);
+  const details = signatures.length > 0 ? `; ${signatures.join(', ')}` : '';
+  return {
+    ...hunk,
+    summarized: true,
+    lines: [`[${reason}: ${added} added, ${removed} removed lines${details}]`]
+  };
+}
+
+/**
+ * Turn a parsed diff back into text
+ * @param {string[]} header - File header lines
+ * @param {Object[]} hunks - Hunks
+ * @param {string[]} [notes] - Lines added after the header
+ * @returns {string} Diff text
+ */
+function formatDiff(header, hunks, notes = []) {
+  // Hunks can have millions of lines, too many to spread into push()
+  const parts = [...header, ...notes];
+  for (const hunk of hunks) {
+    parts.push(hunk.header);
+    if (hunk.lines.length > 0) {
+      parts.push(hunk.lines.join('\n'));
+    }
+  }
+  return parts.join('\n') + '\n';
+}
+
+/**
+ * Length a hunk adds to the text from formatDiff, without joining its lines
+ * @param {Object} hunk - Hunk
+ * @returns {number} Characters, newlines included
+ */
+function hunkLength(hunk) {
+  let length = hunk.header.length + 1;
+  for (const line of hunk.lines) {
+    length += line.length + 1;
+  }
+  return length;
+}
+
+/**
+ * Condense a single file's diff to fit a character budget without cutting it blindly:
+ * 1. keep every hunk header and drop distant context lines
+ * 2. collapse generated or repetitive hunks to a summary
+ * 3. drop all context lines
+ * 4. summarise the largest hunks (with the functions/classes they touch) until it fits
+ * 5. as a last resort, list the remaining hunk headers only
+ * @param {string} diff - Diff of one file
+ * @param {number} budget - Maximum characters
+ * @param {string} file - File path (selects the language for signature detection)
+ * @returns {string} Condensed diff
+ */
+function condenseDiff(diff, budget, file) {
+  if (diff.length <= budget) {
+    return diff;
+  }
+
+  const { header, hunks: originalHunks } = parseFileDiff(diff);
+  const signatures = findChangedSignatures(originalHunks, file);
+  const notes = signatures.length > 0 ? [`[Changed declarations: ${signatures.join(', ')}]`] : [];
+
+  const hunks = originalHunks.map(hunk => reduceContext(hunk, REDUCED_CONTEXT));
+  // Keep the length of formatDiff(header, hunks, notes) up to date as hunks are replaced
+  // instead of formatting the whole diff again after every change
+  let condensedLength = [...header, ...notes].reduce((sum, line) => sum + line.length + 1, 0);
+  for (const hunk of hunks) {
+    condensedLength += hunkLength(hunk);
+  }
+  const fits = () => condensedLength <= budget;
+  const replace = (index, hunk) => {
+    condensedLength += hunkLength(hunk) - hunkLength(hunks[index]);
+    hunks[index] = hunk;
+  };
+
+  if (!fits()) {
+    hunks.forEach((hunk, index) => {
+      if (isRepetitive(hunk)) {
+        replace(index, summarizeHunk(hunk, file, 'generated or repetitive change'));
+      }
+    });
+  }
+  if (!fits()) {
+    hunks.forEach((hunk, index) => {
+      if (!hunk.summarized) {
+        replace(index, reduceContext(hunk, 0));
+      }
+    });
+  }
+
+  // Summarise the largest hunks first, they free the most room
+  const bySize = hunks
+    .map((hunk, index) => ({ index, size: hunk.lines.join('\n').length }))
+    .sort((a, b) => b.size - a.size);
+  for (const { index } of bySize) {
+    if (fits()) {
+      break;
+    }
+    if (!hunks[index].summarized) {
+      replace(index, summarizeHunk(hunks[index], file, 'hunk condensed'));
+    }
+  }
+
+  if (fits()) {
+    return formatDiff(header, hunks, notes);
+  }
+
+  // Still too big: keep the header, the declarations and as many hunk headers as fit
+  const { added, removed } = originalHunks.map(countChanges).reduce(
+    (total, count) => ({ added: total.added + count.added, removed: total.removed + count.removed }),
+    { added: 0, removed: 0 }
+  );
+  const total = `${added} added, ${removed} removed lines in total`;
+  const lines = [...header, ...notes];
+  let length = lines.join('\n').length;
+  const reserved = `[${originalHunks.length} more hunk(s) omitted; ${total}]`.length + 2;
+  let shown = 0;
+  for (const hunk of originalHunks) {
+    if (length + hunk.header.length + 1 + reserved > budget) {
+      break;
+    }
+    lines.push(hunk.header);
+    length += hunk.header.length + 1;
+    shown++;
+  }
+  lines.push(shown < originalHunks.length
+    ? `[${originalHunks.length - shown} more hunk(s) omitted; ${total}]`
+    : `[hunk contents omitted; ${total}]`);
+  return lines.join('\n').substring(0, budget) + '\n';
+}
+
+module.exports = {
+  condenseDiff,
+  parseFileDiff,
+  findChangedSignatures,
+  isRepetitive
+};
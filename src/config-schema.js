@@ -0,0 +1,665 @@
+const { PROVIDERS } = require('./providers');
+const { DEFAULT_CONVENTIONAL_CONFIG } = require('./conventional');
+const { DEFAULT_LINT_CONFIG, VIOLATION_ACTIONS } = require('./lint');
+const { DEFAULT_FAILURE_CONFIG, FAILURE_POLICIES } = require('./retry');
+const { DEFAULT_REDACT_CONFIG } = require('./redact');
+const { TEMPLATE_PRESETS } = require('./prompt');
+const { DEFAULT_MAP_REDUCE_CONFIG, GROUP_BY_MODES } = require('./map-reduce');
+const { DEFAULT_SOURCES_CONFIG, SOURCE_ACTIONS } = require('./sources');
+const { DEFAULT_SKIP_CONFIG, QUALITY_LEVELS } = require('./skip');
+const { DEFAULT_STYLE_CONFIG } = require('./style');
+const { DEFAULT_TICKET_CONFIG, TICKET_PLACEMENTS, TICKET_VALIDATIONS, TICKET_PRESETS } = require('./ticket');
+const { DEFAULT_PR_CONFIG } = require('./pr');
+const { DEFAULT_CHANGELOG_CONFIG } = require('./changelog');
+
+/**
+ * Check that every entry of a list option is a valid regular expression
+ * @param {string[]} value - Regular expression sources
+ * @returns {string|null} Problem description, or null when all are valid
+ */
+function validatePatterns(value) {
+  for (const source of value) {
+    try {
+      new RegExp(source);
+    } catch (error) {
+      return `"${source}" is not a valid regular expression`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Every supported config option, keyed by its dotted name
+ * Each option has a type (string, number, boolean, enum, array or object), an optional
+ * default, a description and optional constraints (choices, min, integer, validate)
+ * Number options marked auto also accept the string "auto"
+ * Options marked secret are never read from or written to the repository config, and
+ * neither are options marked connection: they decide where the API key and the diff are sent
+ */
+const CONFIG_SCHEMA = {
+  apiKey: {
+    type: 'string',
+    secret: true,
+    description: 'API key for the provider'
+  },
+  provider: {
+    type: 'enum',
+    connection: true,
+    choices: Object.keys(PROVIDERS),
+    default: 'openai',
+    description: 'LLM provider'
+  },
+  model: {
+    type: 'string',
+    description: 'Model name (defaults to the provider default)'
+  },
+  baseUrl: {
+    type: 'string',
+    connection: true,
+    validate: value => (/^https?:\/\//.test(value) ? null : 'must be an http(s) URL'),
+    description: 'Base URL of the provider API'
+  },
+  headers: {
+    type: 'object',
+    secret: true,
+    description: 'Extra HTTP headers sent with every request'
+  },
+  template: {
+    type: 'enum',
+    choices: Object.keys(TEMPLATE_PRESETS),
+    description: 'Bundled preset used when there is no template file (default, or conventional in conventional mode)'
+  },
+  diffBudget: {
+    type: 'number',
+    auto: true,
+    default: 'auto',
+    min: 1,
+    integer: true,
+    description: 'Max tokens for the diff (accepts a K suffix, e.g. 32K), or "auto" to fit the model\'s context window'
+  },
+  contextWindow: {
+    type: 'number',
+    min: 1,
+    integer: true,
+    description: 'Context window of the model in tokens (defaults to the known window of the model)'
+  },
+  responseTokens: {
+    type: 'number',
+    default: 4096,
+    min: 0,
+    integer: true,
+    description: 'Tokens kept free for the reply when the diff budget is "auto"'
+  },
+  reportUsage: {
+    type: 'boolean',
+    default: true,
+    description: 'Report prompt and response token usage after each generation'
+  },
+  'diff.include': {
+    type: 'array',
+    default: [],
+    description: 'Globs of files always diffed in full, even if they look generated'
+  },
+  'diff.exclude': {
+    type: 'array',
+    default: [],
+    description: 'Globs of files left out of the diff entirely'
+  },
+  'diff.summarizeGenerated': {
+    type: 'boolean',
+    default: true,
+    description: 'Summarise lockfiles, generated and vendored files in one line'
+  },
+  'mapReduce.enabled': {
+    type: 'boolean',
+    default: DEFAULT_MAP_REDUCE_CONFIG.enabled,
+    description: 'Summarise very large commits group by group before writing the message'
+  },
+  'mapReduce.threshold': {
+    type: 'number',
+    default: DEFAULT_MAP_REDUCE_CONFIG.threshold,
+    min: 1,
+    integer: true,
+    description: 'Diffed files at which a commit is summarised group by group'
+  },
+  'mapReduce.groupBy': {
+    type: 'enum',
+    choices: GROUP_BY_MODES,
+    default: DEFAULT_MAP_REDUCE_CONFIG.groupBy,
+    description: 'Group files by leading directories or by module (closest package.json, go.mod, ...)'
+  },
+  'mapReduce.depth': {
+    type: 'number',
+    default: DEFAULT_MAP_REDUCE_CONFIG.depth,
+    min: 1,
+    integer: true,
+    description: 'Directory levels that name a group when grouping by directory'
+  },
+  'mapReduce.concurrency': {
+    type: 'number',
+    default: DEFAULT_MAP_REDUCE_CONFIG.concurrency,
+    min: 1,
+    integer: true,
+    description: 'Group summaries requested at the same time'
+  },
+  'mapReduce.maxCalls': {
+    type: 'number',
+    default: DEFAULT_MAP_REDUCE_CONFIG.maxCalls,
+    min: 2,
+    integer: true,
+    description: 'Model calls per large commit, including the final message and its conventional and lint retries (groups are merged to fit)'
+  },
+  interactive: {
+    type: 'boolean',
+    default: false,
+    description: 'Review generated messages in the terminal before committing'
+  },
+  debug: {
+    type: 'boolean',
+    default: false,
+    description: 'Log why the hook skipped a commit'
+  },
+  alternatives: {
+    type: 'number',
+    default: 3,
+    min: 1,
+    integer: true,
+    description: 'Number of messages offered by "pick from alternatives"'
+  },
+
+  'conventional.enabled': {
+    type: 'boolean',
+    default: DEFAULT_CONVENTIONAL_CONFIG.enabled,
+    description: 'Generate Conventional Commits messages'
+  },
+  'conventional.types': {
+    type: 'array',
+    default: DEFAULT_CONVENTIONAL_CONFIG.types,
+    description: 'Allowed Conventional Commit types'
+  },
+  'conventional.scopes': {
+    type: 'array',
+    default: DEFAULT_CONVENTIONAL_CONFIG.scopes,
+    description: 'Allowed scopes (empty allows any)'
+  },
+  'conventional.requireScope': {
+    type: 'boolean',
+    default: DEFAULT_CONVENTIONAL_CONFIG.requireScope,
+    description: 'Require a scope in the header'
+  },
+  'conventional.maxHeaderLength': {
+    type: 'number',
+    default: DEFAULT_CONVENTIONAL_CONFIG.maxHeaderLength,
+    min: 10,
+    integer: true,
+    description: 'Maximum header length'
+  },
+  'conventional.maxRetries': {
+    type: 'number',
+    default: DEFAULT_CONVENTIONAL_CONFIG.maxRetries,
+    min: 0,
+    integer: true,
+    description: 'Re-prompts for invalid messages before repairing them'
+  },
+
+  'lint.enabled': {
+    type: 'boolean',
+    default: DEFAULT_LINT_CONFIG.enabled,
+    description: 'Lint generated messages'
+  },
+  'lint.maxSubjectLength': {
+    type: 'number',
+    default: DEFAULT_LINT_CONFIG.maxSubjectLength,
+    min: 0,
+    integer: true,
+    description: 'Maximum subject length (0 disables)'
+  },
+  'lint.blankSecondLine': {
+    type: 'boolean',
+    default: DEFAULT_LINT_CONFIG.blankSecondLine,
+    description: 'Require a blank line after the subject'
+  },
+  'lint.bodyWrap': {
+    type: 'number',
+    default: DEFAULT_LINT_CONFIG.bodyWrap,
+    min: 0,
+    integer: true,
+    description: 'Body wrap width (0 disables)'
+  },
+  'lint.noCodeFences': {
+    type: 'boolean',
+    default: DEFAULT_LINT_CONFIG.noCodeFences,
+    description: 'Forbid markdown code fences'
+  },
+  'lint.noTrailingPeriod': {
+    type: 'boolean',
+    default: DEFAULT_LINT_CONFIG.noTrailingPeriod,
+    description: 'Forbid a period at the end of the subject'
+  },
+  'lint.noPreamble': {
+    type: 'boolean',
+    default: DEFAULT_LINT_CONFIG.noPreamble,
+    description: 'Forbid "Here is your commit message:" style preambles'
+  },
+  'lint.bannedWords': {
+    type: 'array',
+    default: DEFAULT_LINT_CONFIG.bannedWords,
+    description: 'Words or phrases that must not appear'
+  },
+  'lint.onViolation': {
+    type: 'enum',
+    choices: VIOLATION_ACTIONS,
+    default: DEFAULT_LINT_CONFIG.onViolation,
+    description: 'What to do when a lint rule is broken'
+  },
+  'lint.maxRetries': {
+    type: 'number',
+    default: DEFAULT_LINT_CONFIG.maxRetries,
+    min: 0,
+    integer: true,
+    description: 'Re-prompts in "retry" mode before fixing'
+  },
+
+  'sources.message': {
+    type: 'enum',
+    choices: SOURCE_ACTIONS.message,
+    default: DEFAULT_SOURCES_CONFIG.message,
+    description: 'How the hook handles commits with -m/-F or an empty editor message'
+  },
+  'sources.template': {
+    type: 'enum',
+    choices: SOURCE_ACTIONS.template,
+    default: DEFAULT_SOURCES_CONFIG.template,
+    description: 'How the hook handles commits started from a commit template'
+  },
+  'sources.commit': {
+    type: 'enum',
+    choices: SOURCE_ACTIONS.commit,
+    default: DEFAULT_SOURCES_CONFIG.commit,
+    description: 'How the hook handles amended commits and commits reusing a message (-c/-C)'
+  },
+  'sources.merge': {
+    type: 'enum',
+    choices: SOURCE_ACTIONS.merge,
+    default: DEFAULT_SOURCES_CONFIG.merge,
+    description: 'How the hook handles merge commits'
+  },
+  'sources.squash': {
+    type: 'enum',
+    choices: SOURCE_ACTIONS.squash,
+    default: DEFAULT_SOURCES_CONFIG.squash,
+    description: 'How the hook handles squash merges (git merge --squash)'
+  },
+
+  'style.enabled': {
+    type: 'boolean',
+    default: DEFAULT_STYLE_CONFIG.enabled,
+    description: 'Learn the commit style from the repository history and show it to the model'
+  },
+  'style.sample': {
+    type: 'number',
+    default: DEFAULT_STYLE_CONFIG.sample,
+    min: 1,
+    integer: true,
+    description: 'Recent commits analysed'
+  },
+  'style.examples': {
+    type: 'number',
+    default: DEFAULT_STYLE_CONFIG.examples,
+    min: 0,
+    integer: true,
+    description: 'Example messages from the history included in the prompt'
+  },
+  'style.paths': {
+    type: 'array',
+    default: DEFAULT_STYLE_CONFIG.paths,
+    description: 'Only learn from commits touching these paths'
+  },
+  'style.authors': {
+    type: 'array',
+    default: DEFAULT_STYLE_CONFIG.authors,
+    description: 'Only learn from commits by these authors (git log --author patterns)'
+  },
+  'style.maxAge': {
+    type: 'number',
+    default: DEFAULT_STYLE_CONFIG.maxAge,
+    min: 0,
+    description: 'Hours before the learned style is recomputed (0 recomputes on every commit)'
+  },
+
+  'ticket.patterns': {
+    type: 'array',
+    default: DEFAULT_TICKET_CONFIG.patterns,
+    validate: value => validatePatterns(value.filter(entry => !TICKET_PRESETS[entry])),
+    description: `Ticket patterns: ${Object.keys(TICKET_PRESETS).join(', ')} or regular expressions`
+  },
+  'ticket.placement': {
+    type: 'enum',
+    choices: TICKET_PLACEMENTS,
+    default: DEFAULT_TICKET_CONFIG.placement,
+    description: 'Where the ticket is added to the message: none, prefix (subject) or trailer'
+  },
+  'ticket.prefix': {
+    type: 'string',
+    default: DEFAULT_TICKET_CONFIG.prefix,
+    validate: value => (value.includes('{ticket}') ? null : 'must contain {ticket}'),
+    description: 'Subject prefix for "prefix" placement; {ticket} is replaced by the ticket ID'
+  },
+  'ticket.trailer': {
+    type: 'string',
+    default: DEFAULT_TICKET_CONFIG.trailer,
+    validate: value => (/^[A-Za-z][\w-]*$/.test(value) ? null : 'must be a trailer token such as Refs or Fixes'),
+    description: 'Trailer token for "trailer" placement'
+  },
+  'ticket.validate': {
+    type: 'enum',
+    choices: TICKET_VALIDATIONS,
+    default: DEFAULT_TICKET_CONFIG.validate,
+    description: 'What happens when the final message lacks the ticket: off, warn or fail (abort the commit)'
+  },
+
+  'pr.base': {
+    type: 'string',
+    default: DEFAULT_PR_CONFIG.base,
+    description: 'Branch nullcommits pr compares with ("auto": origin\'s default branch, main or master)'
+  },
+  'pr.maxCommits': {
+    type: 'number',
+    default: DEFAULT_PR_CONFIG.maxCommits,
+    min: 1,
+    integer: true,
+    description: 'Commit messages nullcommits pr shows the model (the newest are kept)'
+  },
+
+  'changelog.file': {
+    type: 'string',
+    default: DEFAULT_CHANGELOG_CONFIG.file,
+    description: 'Changelog nullcommits changelog --write prepends to, relative to the repository root'
+  },
+  'changelog.notes': {
+    type: 'boolean',
+    default: DEFAULT_CHANGELOG_CONFIG.notes,
+    description: 'Condense the commits into user-facing release notes with the model'
+  },
+  'changelog.includeInternal': {
+    type: 'boolean',
+    default: DEFAULT_CHANGELOG_CONFIG.includeInternal,
+    description: 'List docs, test, refactoring, build, CI and chore commits under Changed'
+  },
+
+  'skip.messages': {
+    type: 'array',
+    default: DEFAULT_SKIP_CONFIG.messages,
+    validate: validatePatterns,
+    description: 'Regular expressions of messages the hook leaves alone'
+  },
+  'skip.branches': {
+    type: 'array',
+    default: DEFAULT_SKIP_CONFIG.branches,
+    description: 'Globs of branches the hook leaves alone'
+  },
+  'skip.authors': {
+    type: 'array',
+    default: DEFAULT_SKIP_CONFIG.authors,
+    validate: validatePatterns,
+    description: 'Regular expressions of authors ("Name <email>") the hook leaves alone'
+  },
+  'skip.markers': {
+    type: 'array',
+    default: DEFAULT_SKIP_CONFIG.markers,
+    description: 'Markers that skip a commit when its message contains them (the marker is removed)'
+  },
+  'skip.env': {
+    type: 'array',
+    default: DEFAULT_SKIP_CONFIG.env,
+    description: 'Environment variables that skip the hook when set'
+  },
+  'skip.quality': {
+    type: 'enum',
+    choices: QUALITY_LEVELS,
+    default: DEFAULT_SKIP_CONFIG.quality,
+    description: 'Keep messages that are already valid Conventional Commits (conventional) or that also have a body (conventional-body)'
+  },
+  'failure.policy': {
+    type: 'enum',
+    choices: FAILURE_POLICIES,
+    default: DEFAULT_FAILURE_CONFIG.policy,
+    description: 'What the hook does when generation fails'
+  },
+  'failure.retries': {
+    type: 'number',
+    default: DEFAULT_FAILURE_CONFIG.retries,
+    min: 0,
+    integer: true,
+    description: 'Extra attempts after a failed request'
+  },
+  'failure.backoff': {
+    type: 'number',
+    default: DEFAULT_FAILURE_CONFIG.backoff,
+    min: 0,
+    description: 'Delay before the first retry in ms (doubled per retry)'
+  },
+  'failure.timeout': {
+    type: 'number',
+    default: DEFAULT_FAILURE_CONFIG.timeout,
+    min: 0,
+    description: 'Per-request timeout in ms (0 disables)'
+  },
+
+  'redact.enabled': {
+    type: 'boolean',
+    default: DEFAULT_REDACT_CONFIG.enabled,
+    description: 'Redact secrets before sending the diff'
+  },
+  'redact.patterns': {
+    type: 'array',
+    default: DEFAULT_REDACT_CONFIG.patterns,
+    validate: validatePatterns,
+    description: 'Extra regular expressions to redact'
+  },
+  'redact.excludePaths': {
+    type: 'array',
+    default: DEFAULT_REDACT_CONFIG.excludePaths,
+    description: 'Globs of files never sent to the model'
+  },
+  'redact.entropyThreshold': {
+    type: 'number',
+    default: DEFAULT_REDACT_CONFIG.entropyThreshold,
+    min: 0,
+    description: 'Entropy threshold for random-looking tokens (0 disables)'
+  },
+  'redact.abortOnSecrets': {
+    type: 'boolean',
+    default: DEFAULT_REDACT_CONFIG.abortOnSecrets,
+    description: 'Abort the commit when secrets are found'
+  }
+};
+
+/**
+ * Compute the edit distance between two strings (for "did you mean" hints)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ */
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        previous + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1)
+      );
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * Look up a config option
+ * @param {string} key - Dotted option name
+ * @returns {Object} Option definition
+ */
+function getOption(key) {
+  const option = CONFIG_SCHEMA[key];
+  if (option) {
+    return option;
+  }
+
+  const [suggestion] = Object.keys(CONFIG_SCHEMA)
+    .map(candidate => ({ candidate, distance: editDistance(key, candidate) }))
+    .filter(({ distance }) => distance <= 3)
+    .sort((a, b) => a.distance - b.distance);
+
+  throw new Error(
+    `Unknown config key "${key}".` +
+    (suggestion ? ` Did you mean "${suggestion.candidate}"?` : '') +
+    ' Run "nullcommits config list" to see all keys.'
+  );
+}
+
+/**
+ * Check a value against its option definition
+ * @param {string} key - Dotted option name
+ * @param {*} value - Value to check
+ */
+function validateValue(key, value) {
+  const option = getOption(key);
+  const fail = (reason) => {
+    throw new Error(`Invalid value for ${key}: ${reason}`);
+  };
+
+  if (option.auto && value === 'auto') {
+    return;
+  }
+
+  switch (option.type) {
+    case 'string':
+      if (typeof value !== 'string' || value === '') {
+        fail('must be a non-empty string');
+      }
+      break;
+    case 'number':
+      if (typeof value !== 'number' || isNaN(value)) {
+        fail('must be a number');
+      }
+      if (option.integer && !Number.isInteger(value)) {
+        fail('must be a whole number');
+      }
+      if (option.min !== undefined && value < option.min) {
+        fail(`must be at least ${option.min}`);
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        fail('must be true or false');
+      }
+      break;
+    case 'enum':
+      if (!option.choices.includes(value)) {
+        fail(`must be one of: ${option.choices.join(', ')}`);
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        fail('must be a list of strings');
+      }
+      break;
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        fail('must be a JSON object');
+      }
+      break;
+  }
+
+  const problem = option.validate ? option.validate(value) : null;
+  if (problem) {
+    fail(problem);
+  }
+}
+
+/**
+ * Parse a value typed on the command line into the option's type
+ * @param {string} key - Dotted option name
+ * @param {string} raw - Raw string value
+ * @returns {*} Parsed and validated value
+ */
+function parseValue(key, raw) {
+  const option = getOption(key);
+  const text = String(raw).trim();
+  let value = text;
+
+  switch (option.type) {
+    case 'number': {
+      if (option.auto && text.toLowerCase() === 'auto') {
+        value = 'auto';
+        break;
+      }
+      // Support K suffix (e.g., "128K" = 128000)
+      const match = text.toUpperCase().match(/^(\d+(?:\.\d+)?)(K)?$/);
+      value = match ? parseFloat(match[1]) * (match[2] ? 1000 : 1) : NaN;
+      break;
+    }
+    case 'boolean':
+      if (['true', '1', 'yes', 'on'].includes(text.toLowerCase())) {
+        value = true;
+      } else if (['false', '0', 'no', 'off'].includes(text.toLowerCase())) {
+        value = false;
+      }
+      break;
+    case 'array':
+      // Accept a JSON array or a comma-separated list
+      if (text.startsWith('[')) {
+        try {
+          value = JSON.parse(text);
+        } catch {
+          throw new Error(`Invalid value for ${key}: not a valid JSON array`);
+        }
+      } else {
+        value = text ? text.split(',').map(item => item.trim()).filter(Boolean) : [];
+      }
+      break;
+    case 'object':
+      try {
+        value = JSON.parse(text);
+      } catch {
+        throw new Error(`Invalid value for ${key}: must be a JSON object, e.g. '{"X-Team": "platform"}'`);
+      }
+      break;
+  }
+
+  validateValue(key, value);
+  return value;
+}
+
+/**
+ * Build the nested default configuration from the schema
+ * @returns {Object} Default configuration
+ */
+function buildDefaults() {
+  const defaults = {};
+  for (const [key, option] of Object.entries(CONFIG_SCHEMA)) {
+    if (option.default === undefined) {
+      continue;
+    }
+    const [section, subKey] = key.split('.');
+    if (subKey) {
+      defaults[section] = { ...defaults[section], [subKey]: option.default };
+    } else {
+      defaults[key] = option.default;
+    }
+  }
+  return defaults;
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  getOption,
+  validateValue,
+  parseValue,
+  buildDefaults
+};
@@ -2,119 +2,463 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { getRepoRoot } = require('./git');
+const { TEMPLATE_VARIABLES, TEMPLATE_PRESETS } = require('./prompt');
+const { resolveProviderSettings } = require('./providers');
+const { estimateTokens, getContextWindow, resolveTokenBudget, PROMPT_OVERHEAD_TOKENS } = require('./tokens');
+const { CONFIG_SCHEMA, buildDefaults, validateValue, parseValue, getOption } = require('./config-schema');
+const { DEFAULT_FAILURE_CONFIG } = require('./retry');
 
 const CONFIG_FILE = path.join(os.homedir(), '.nullcommitsrc');
+const LOCAL_CONFIG_FILE = '.nullcommitsrc';
 const GLOBAL_TEMPLATE_FILE = path.join(os.homedir(), '.nullcommits.template');
 const LOCAL_TEMPLATE_FILE = '.nullcommits.template';
 
 /**
- * Default configuration values
+ * Default configuration values, derived from the config schema
  */
-const DEFAULT_CONFIG = {
-  diffBudget: 128000  // 128k characters for diff budget
-};
+const DEFAULT_CONFIG = buildDefaults();
 
 /**
- * Load configuration from environment variable or config file
- * Priority: OPENAI_API_KEY env var > ~/.nullcommitrc
- * @returns {Object} Configuration object with apiKey, diffBudget, and other settings
+ * Config file scopes that can be written: ~/.nullcommitsrc and <repo root>/.nullcommitsrc
  */
-function loadConfig() {
-  let config = { ...DEFAULT_CONFIG };
-  let source = 'default';
-  
-  // Load from config file if it exists
-  if (fs.existsSync(CONFIG_FILE)) {
-    try {
-      const configContent = fs.readFileSync(CONFIG_FILE, 'utf-8');
-      const fileConfig = JSON.parse(configContent);
-      config = { ...config, ...fileConfig };
-      source = 'config file';
-    } catch (error) {
-      throw new Error(`Failed to parse config file ${CONFIG_FILE}: ${error.message}`);
+const CONFIG_SCOPES = ['global', 'local'];
+
+/**
+ * Config layers from lowest to highest priority
+ */
+const CONFIG_LAYERS = ['default', 'global', 'local', 'env', 'cli'];
+
+/**
+ * Keys that must not be read from the repository config file, since it is meant to be committed
+ */
+const SECRET_KEYS = Object.keys(CONFIG_SCHEMA).filter(key => CONFIG_SCHEMA[key].secret);
+
+/**
+ * Keys that must not be read from the repository config file, since a cloned repository could
+ * otherwise send the user's API key and diffs to a host of its choosing
+ */
+const CONNECTION_KEYS = Object.keys(CONFIG_SCHEMA).filter(key => CONFIG_SCHEMA[key].connection);
+
+/**
+ * Values passed on the command line with -c key=value
+ */
+let cliOverrides = {};
+
+/**
+ * Whether the "secret in repository config" warning was already shown
+ */
+let warnedAboutLocalSecrets = false;
+
+/**
+ * Check whether a value is a plain object (a config section)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether a top-level key is a config section (like "lint") whose keys are merged one by one
+ * @param {string} key - Top-level config key
+ * @returns {boolean}
+ */
+function isSection(key) {
+  return isPlainObject(DEFAULT_CONFIG[key]);
+}
+
+/**
+ * Merge config objects, merging sections (like "conventional") key by key
+ * @param {Object} base - Base configuration
+ * @param {Object} override - Values that take precedence
+ * @returns {Object} Merged configuration
+ */
+function mergeConfig(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isSection(key) && isPlainObject(value) ? { ...base[key], ...value } : value;
+  }
+  return merged;
+}
+
+/**
+ * Flatten a config object into dotted keys, e.g. { lint: { bodyWrap: 72 } } => { 'lint.bodyWrap': 72 }
+ * @param {Object} config - Config object
+ * @returns {Object} Flat key/value map
+ */
+function flattenConfig(config) {
+  const flat = {};
+  for (const [key, value] of Object.entries(config)) {
+    if (isSection(key) && isPlainObject(value)) {
+      for (const [subKey, subValue] of Object.entries(value)) {
+        flat[`${key}.${subKey}`] = subValue;
+      }
+    } else {
+      flat[key] = value;
     }
   }
+  return flat;
+}
+
+/**
+ * Turn a dotted key and value into a config object, e.g. ('lint.bodyWrap', 72) => { lint: { bodyWrap: 72 } }
+ * @param {string} key - Dotted key
+ * @param {*} value - Value
+ * @returns {Object} Config object
+ */
+function unflattenKey(key, value) {
+  const [section, subKey] = key.split('.');
+  return subKey ? { [section]: { [subKey]: value } } : { [key]: value };
+}
 
-  // Environment variable overrides config file for API key
-  if (process.env.OPENAI_API_KEY) {
-    config.apiKey = process.env.OPENAI_API_KEY;
-    source = config.source ? 'config file + environment' : 'environment';
+/**
+ * Read a JSON config file
+ * @param {string} filePath - Path to the config file
+ * @returns {Object} Parsed config, or an empty object if the file does not exist
+ */
+function readConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return {};
   }
-  
-  // Environment variable for diff budget override
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to parse config file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the path of the repository config file
+ * @returns {string|null} Path to <repo root>/.nullcommitsrc, or null outside a repository
+ */
+function getLocalConfigPath() {
+  const repoRoot = getRepoRoot();
+  if (!repoRoot) {
+    return null;
+  }
+  const localPath = path.join(repoRoot, LOCAL_CONFIG_FILE);
+  // A repository in the home directory would otherwise read the global file twice
+  return localPath === CONFIG_FILE ? null : localPath;
+}
+
+/**
+ * Read the repository config file, dropping secrets and connection settings it must not supply
+ * @returns {Object} Repository config values
+ */
+function readLocalConfig() {
+  const localPath = getLocalConfigPath();
+  if (!localPath) {
+    return {};
+  }
+
+  const localConfig = readConfigFile(localPath);
+  const ignored = [...SECRET_KEYS, ...CONNECTION_KEYS].filter(key => key in localConfig);
+  if (ignored.length > 0) {
+    if (!warnedAboutLocalSecrets) {
+      console.error(
+        `⚠️  Ignoring ${ignored.join(', ')} in ${localPath}: repository config is meant to be committed, ` +
+        'so it cannot hold secrets or choose where requests are sent. ' +
+        `Set them in ${CONFIG_FILE} or environment variables.`
+      );
+      warnedAboutLocalSecrets = true;
+    }
+    for (const key of ignored) {
+      delete localConfig[key];
+    }
+  }
+  return localConfig;
+}
+
+/**
+ * Read config values from environment variables
+ * @param {string} provider - Provider selected by the other layers (decides which API key variable applies)
+ * @returns {Object} Config values set through the environment
+ */
+function readEnvConfig(provider) {
+  const env = {};
+
+  // Environment variables override config files for provider selection
+  if (process.env.NULLCOMMITS_PROVIDER) {
+    env.provider = process.env.NULLCOMMITS_PROVIDER;
+  }
+  if (process.env.NULLCOMMITS_MODEL) {
+    env.model = process.env.NULLCOMMITS_MODEL;
+  }
+  if (process.env.NULLCOMMITS_BASE_URL) {
+    env.baseUrl = process.env.NULLCOMMITS_BASE_URL;
+  }
+
+  const envApiKey = (env.provider || provider) === 'anthropic'
+    ? process.env.ANTHROPIC_API_KEY
+    : process.env.OPENAI_API_KEY;
+  if (envApiKey) {
+    env.apiKey = envApiKey;
+  }
+
+  // Environment variable for diff budget override (tokens, K suffix or "auto")
   if (process.env.NULLCOMMITS_DIFF_BUDGET) {
-    const envBudget = parseInt(process.env.NULLCOMMITS_DIFF_BUDGET, 10);
-    if (!isNaN(envBudget) && envBudget > 0) {
-      config.diffBudget = envBudget;
+    try {
+      env.diffBudget = parseValue('diffBudget', process.env.NULLCOMMITS_DIFF_BUDGET);
+    } catch {
+      // An invalid value is ignored, like before the budget accepted "auto"
     }
   }
 
-  if (!config.apiKey) {
+  // Environment variable to toggle interactive review (1/true or 0/false)
+  if (process.env.NULLCOMMITS_INTERACTIVE) {
+    env.interactive = ['1', 'true', 'yes'].includes(process.env.NULLCOMMITS_INTERACTIVE.toLowerCase());
+  }
+
+  // Environment variable to log hook decisions (1/true or 0/false)
+  if (process.env.NULLCOMMITS_DEBUG) {
+    env.debug = ['1', 'true', 'yes'].includes(process.env.NULLCOMMITS_DEBUG.toLowerCase());
+  }
+
+  return env;
+}
+
+/**
+ * Set config values given on the command line (highest priority layer)
+ * @param {Object} overrides - Config object, e.g. { model: 'gpt-4.1', lint: { bodyWrap: 0 } }
+ */
+function setCliOverrides(overrides) {
+  cliOverrides = overrides;
+}
+
+/**
+ * Parse a "key=value" command line override
+ * The value is parsed and validated according to the config schema
+ * @param {string} assignment - e.g. "lint.bodyWrap=100"
+ * @returns {Object} Config object for the assignment
+ */
+function parseCliOverride(assignment) {
+  const index = assignment.indexOf('=');
+  if (index <= 0) {
+    throw new Error(`Invalid config override "${assignment}". Use key=value, e.g. -c model=gpt-4.1`);
+  }
+  const key = assignment.substring(0, index).trim();
+  return unflattenKey(key, parseValue(key, assignment.substring(index + 1)));
+}
+
+/**
+ * Resolve the effective configuration from all layers
+ * Priority: CLI (-c key=value) > environment > .nullcommitsrc (repository root) > ~/.nullcommitsrc > defaults
+ * @returns {{config: Object, origins: Object, files: {global: string, local: string|null}}}
+ *   Merged config, the layer every dotted key came from, and the config file paths
+ */
+function resolveConfig() {
+  const globalConfig = readConfigFile(CONFIG_FILE);
+  const localConfig = readLocalConfig();
+  const fileProvider = cliOverrides.provider || localConfig.provider || globalConfig.provider || DEFAULT_CONFIG.provider;
+
+  const layers = {
+    default: DEFAULT_CONFIG,
+    global: globalConfig,
+    local: localConfig,
+    env: readEnvConfig(fileProvider),
+    cli: cliOverrides
+  };
+
+  let config = {};
+  const origins = {};
+  for (const name of CONFIG_LAYERS) {
+    config = mergeConfig(config, layers[name]);
+    for (const key of Object.keys(flattenConfig(layers[name]))) {
+      origins[key] = name;
+    }
+  }
+
+  return {
+    config,
+    origins,
+    files: { global: CONFIG_FILE, local: getLocalConfigPath() }
+  };
+}
+
+/**
+ * Load configuration from all layers and validate it
+ * Priority: CLI (-c key=value) > environment > .nullcommitsrc (repository root) > ~/.nullcommitsrc > defaults
+ * Environment: OPENAI_API_KEY (or ANTHROPIC_API_KEY), NULLCOMMITS_PROVIDER, NULLCOMMITS_MODEL,
+ * NULLCOMMITS_BASE_URL, NULLCOMMITS_DIFF_BUDGET, NULLCOMMITS_INTERACTIVE and NULLCOMMITS_DEBUG
+ * @param {Object} [options] - Load options
+ * @param {boolean} [options.requireApiKey=true] - Throw when the provider needs an API key and none is set
+ * @returns {Object} Configuration object with apiKey, provider, model, diffBudget, and other settings
+ */
+function loadConfig(options = {}) {
+  const { requireApiKey = true } = options;
+  const { config, origins } = resolveConfig();
+
+  // Validate every known key; unknown keys are ignored so older versions can share config files
+  for (const [key, value] of Object.entries(flattenConfig(config))) {
+    if (!CONFIG_SCHEMA[key]) {
+      continue;
+    }
+    try {
+      validateValue(key, value);
+    } catch (error) {
+      throw new Error(`${error.message} (from ${origins[key]} config)`);
+    }
+  }
+
+  const providerSettings = resolveProviderSettings(config);
+  if (requireApiKey && !config.apiKey && providerSettings.requiresApiKey) {
+    const envVar = config.provider === 'anthropic' ? 'ANTHROPIC_API_KEY' : 'OPENAI_API_KEY';
     throw new Error(
-      'OpenAI API key not found!\n' +
+      `${providerSettings.label} API key not found!\n` +
       'Please set it using one of these methods:\n' +
       '  1. Run: nullcommits config set-key YOUR_API_KEY\n' +
-      '  2. Set OPENAI_API_KEY environment variable\n' +
+      `  2. Set ${envVar} environment variable\n` +
       `  3. Create ${CONFIG_FILE} with: {"apiKey": "sk-..."}`
     );
   }
-  
-  config.source = source;
+
   return config;
 }
 
 /**
- * Save API key to config file
- * @param {string} apiKey - The OpenAI API key to save
+ * Get the config file path for a scope
+ * @param {string} scope - "global" or "local"
+ * @returns {string} Path to the config file
  */
-function saveApiKey(apiKey) {
-  let config = {};
-  
-  // Read existing config if it exists
-  if (fs.existsSync(CONFIG_FILE)) {
-    try {
-      const configContent = fs.readFileSync(CONFIG_FILE, 'utf-8');
-      config = JSON.parse(configContent);
-    } catch {
-      // If parsing fails, start with empty config
-    }
+function getConfigFilePath(scope) {
+  if (!CONFIG_SCOPES.includes(scope)) {
+    throw new Error(`Unknown config scope "${scope}". Must be one of: ${CONFIG_SCOPES.join(', ')}`);
   }
-  
-  config.apiKey = apiKey;
-  fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2), 'utf-8');
+  if (scope === 'global') {
+    return CONFIG_FILE;
+  }
+  const localPath = getLocalConfigPath();
+  if (!localPath) {
+    throw new Error('Not a git repository. Please run this command inside a git repository to use --local.');
+  }
+  return localPath;
 }
 
 /**
- * Save diff budget to config file
- * @param {number} budget - The diff budget in characters
+ * Read the values stored in one config file
+ * @param {string} scope - "global" or "local"
+ * @returns {{values: Object, path: string}} Flat key/value map and file path
  */
-function saveDiffBudget(budget) {
-  let config = {};
-  
-  // Read existing config if it exists
-  if (fs.existsSync(CONFIG_FILE)) {
-    try {
-      const configContent = fs.readFileSync(CONFIG_FILE, 'utf-8');
-      config = JSON.parse(configContent);
-    } catch {
-      // If parsing fails, start with empty config
+function readScopedConfig(scope) {
+  const filePath = getConfigFilePath(scope);
+  return {
+    values: flattenConfig(readConfigFile(filePath)),
+    path: filePath
+  };
+}
+
+/**
+ * Store a config value in a config file
+ * @param {string} key - Dotted option name, e.g. "lint.bodyWrap"
+ * @param {*} value - Already parsed value
+ * @param {string} [scope='global'] - "global" or "local"
+ * @returns {string} Path to the written config file
+ */
+function setConfigValue(key, value, scope = 'global') {
+  const option = getOption(key);
+  if (option.secret && scope === 'local') {
+    throw new Error(`${key} is a secret and cannot be stored in the repository config. Use --global instead.`);
+  }
+  if (option.connection && scope === 'local') {
+    throw new Error(`${key} decides where requests are sent and cannot be stored in the repository config. Use --global instead.`);
+  }
+  validateValue(key, value);
+
+  const filePath = getConfigFilePath(scope);
+  const config = mergeConfig(readConfigFile(filePath), unflattenKey(key, value));
+  fs.writeFileSync(filePath, JSON.stringify(config, null, 2), 'utf-8');
+  return filePath;
+}
+
+/**
+ * Remove a config value from a config file
+ * @param {string} key - Dotted option name
+ * @param {string} [scope='global'] - "global" or "local"
+ * @returns {{path: string, removed: boolean}} File path and whether the key was set
+ */
+function unsetConfigValue(key, scope = 'global') {
+  getOption(key);
+
+  const filePath = getConfigFilePath(scope);
+  const config = readConfigFile(filePath);
+  const [section, subKey] = key.split('.');
+  let removed = false;
+
+  if (subKey) {
+    if (config[section] && subKey in config[section]) {
+      delete config[section][subKey];
+      if (Object.keys(config[section]).length === 0) {
+        delete config[section];
+      }
+      removed = true;
     }
+  } else if (key in config) {
+    delete config[key];
+    removed = true;
   }
-  
-  config.diffBudget = budget;
-  fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2), 'utf-8');
+
+  if (removed) {
+    fs.writeFileSync(filePath, JSON.stringify(config, null, 2), 'utf-8');
+  }
+  return { path: filePath, removed };
+}
+
+/**
+ * Work out the diff budget in tokens and how it relates to the model's context window
+ * With diffBudget "auto" the budget is the context window minus the template,
+ * the prompt around it and the tokens reserved for the reply, up to MAX_AUTO_BUDGET
+ * @param {Object} [config] - Loaded configuration (loaded when omitted)
+ * @returns {{tokens: number, auto: boolean, model: string, contextWindow: number, templateTokens: number,
+ *   responseTokens: number, available: number, exceedsContext: boolean}} Budget details
+ */
+function getBudgetDetails(config) {
+  config = config || loadConfig({ requireApiKey: false });
+  const { model } = resolveProviderSettings(config);
+  const contextWindow = config.contextWindow || getContextWindow(model);
+  const template = loadTemplate({ conventional: config.conventional.enabled, preset: config.template });
+  const templateTokens = estimateTokens(template.content) + PROMPT_OVERHEAD_TOKENS;
+  const responseTokens = config.responseTokens;
+  const budget = resolveTokenBudget({
+    diffBudget: config.diffBudget,
+    contextWindow,
+    templateTokens,
+    responseTokens
+  });
+
+  return {
+    ...budget,
+    model,
+    contextWindow,
+    templateTokens,
+    responseTokens,
+    exceedsContext: budget.tokens > budget.available
+  };
 }
 
 /**
  * Get the current diff budget from config
- * @returns {number} The diff budget in characters
+ * Falls back to the budget for the default model when the config cannot be loaded
+ * @returns {number} The diff budget in tokens
  */
 function getDiffBudget() {
   try {
-    const config = loadConfig();
-    return config.diffBudget || DEFAULT_CONFIG.diffBudget;
+    return getBudgetDetails().tokens;
   } catch {
-    return DEFAULT_CONFIG.diffBudget;
+    return getBudgetDetails(DEFAULT_CONFIG).tokens;
+  }
+}
+
+/**
+ * Get the failure policy for the git hook
+ * Falls back to the default when the config cannot be loaded, since a broken
+ * config is one of the failures the policy has to handle
+ * @returns {string} "keep" or "block"
+ */
+function getFailurePolicy() {
+  try {
+    return loadConfig({ requireApiKey: false }).failure.policy;
+  } catch {
+    return DEFAULT_FAILURE_CONFIG.policy;
   }
 }
 
@@ -141,38 +485,72 @@ function getDefaultTemplateContent() {
 }
 
 /**
- * Load the template - checks local, then global, then falls back to bundled
- * Priority: .nullcommits.template (local) > ~/.nullcommits.template (global) > bundled templates/default.txt
- * @returns {Object} Template content and source info
+ * Get the path of a bundled template preset
+ * @param {string} name - Preset name (see TEMPLATE_PRESETS)
+ * @returns {string} Path to templates/<name>.txt
  */
-function loadTemplate() {
-  // First, check for local template file in repository root
-  const repoRoot = getRepoRoot();
-  if (repoRoot) {
-    const localTemplatePath = path.join(repoRoot, LOCAL_TEMPLATE_FILE);
-    if (fs.existsSync(localTemplatePath)) {
-      return {
-        content: fs.readFileSync(localTemplatePath, 'utf-8'),
-        source: 'local',
-        path: localTemplatePath
-      };
-    }
+function getPresetPath(name) {
+  if (!TEMPLATE_PRESETS[name]) {
+    throw new Error(`Unknown template preset "${name}". Available presets: ${Object.keys(TEMPLATE_PRESETS).join(', ')}`);
   }
-  
-  // Then, check for global template file
-  if (fs.existsSync(GLOBAL_TEMPLATE_FILE)) {
-    return {
-      content: fs.readFileSync(GLOBAL_TEMPLATE_FILE, 'utf-8'),
+  return path.join(getTemplatesDir(), `${name}.txt`);
+}
+
+/**
+ * List the templates loadTemplate considers, highest priority first
+ * Priority: .nullcommits.template (local) > ~/.nullcommits.template (global) > bundled preset
+ * In conventional mode the global template is skipped and the bundled fallback
+ * is the conventional preset, since personal templates are usually emoji-based
+ * @param {Object} [options] - Template options
+ * @param {boolean} [options.conventional] - Whether conventional mode is enabled
+ * @param {string} [options.preset] - Bundled preset to fall back to (the "template" option)
+ * @returns {Object[]} Candidates with source, path, whether the file exists and why it is skipped
+ */
+function getTemplateCandidates(options = {}) {
+  const repoRoot = getRepoRoot();
+  const preset = options.preset || (options.conventional ? 'conventional' : 'default');
+
+  return [
+    {
+      source: 'local',
+      path: repoRoot ? path.join(repoRoot, LOCAL_TEMPLATE_FILE) : null,
+      skipped: repoRoot ? null : 'not in a git repository'
+    },
+    {
       source: 'global',
-      path: GLOBAL_TEMPLATE_FILE
-    };
+      path: GLOBAL_TEMPLATE_FILE,
+      skipped: options.conventional ? 'skipped in conventional mode' : null
+    },
+    {
+      source: 'bundled',
+      name: preset,
+      path: getPresetPath(preset),
+      skipped: null
+    }
+  ].map(candidate => ({
+    ...candidate,
+    exists: Boolean(candidate.path) && fs.existsSync(candidate.path)
+  }));
+}
+
+/**
+ * Load the template - checks local, then global, then falls back to the bundled preset
+ * @param {Object} [options] - Template options (see getTemplateCandidates)
+ * @param {boolean} [options.conventional] - Whether conventional mode is enabled
+ * @param {string} [options.preset] - Bundled preset to fall back to
+ * @returns {Object} Template content and source info
+ */
+function loadTemplate(options = {}) {
+  const candidate = getTemplateCandidates(options).find(({ exists, skipped }) => exists && !skipped);
+
+  if (!candidate) {
+    throw new Error(`Bundled template file not found: ${getPresetPath(options.preset || 'default')}`);
   }
-  
-  // Fall back to bundled template
+
   return {
-    content: getDefaultTemplateContent(),
-    source: 'bundled',
-    path: path.join(getTemplatesDir(), 'default.txt')
+    content: fs.readFileSync(candidate.path, 'utf-8'),
+    source: candidate.source,
+    path: candidate.path
   };
 }
 
@@ -213,37 +591,65 @@ function hasGlobalTemplate() {
  * @returns {string} Formatted template instructions
  */
 function getTemplateInstructions() {
+  const width = Math.max(...Object.keys(TEMPLATE_VARIABLES).map(name => name.length)) + 4;
+  const variables = Object.entries(TEMPLATE_VARIABLES)
+    .map(([name, description]) => `   • ${`{{${name}}}`.padEnd(width)} - ${description}`)
+    .join('\n');
+
   return `
 📋 Template Customization:
 
    Templates control how your commit messages are generated.
 
    Available Variables:
-   • {{ORIGINAL_MESSAGE}} - Your original commit message
-   • {{DIFF}}             - The git diff of staged changes
+${variables}
+
+   Blocks and includes:
+   • {{#if NAME}}...{{else}}...{{/if}}  - Conditional (also {{#unless NAME}})
+   • {{#each FILES}}{{path}}{{/each}}   - Loop (also {{this}}, {{@index}}, {{@number}})
+   • {{> name}}                          - Include name or name.txt from the template's
+                                           directory or its partials/ folder
 
    Template Priority (highest to lowest):
    1. .nullcommits.template   (local - in repository root)
    2. ~/.nullcommits.template (global - in home directory)
-   3. Bundled default         (built into nullcommits)
+   3. Bundled preset          (set with: nullcommits config set template terse)
 
    💡 Create a local template for project-specific formatting:
-      cp ~/.nullcommits.template .nullcommits.template
+      nullcommits template init --local
+
+   🔍 Check a template and preview the prompt for your staged changes:
+      nullcommits template validate
+      nullcommits template render
 `;
 }
 
 module.exports = {
   loadConfig,
-  saveApiKey,
-  saveDiffBudget,
+  resolveConfig,
+  flattenConfig,
+  setCliOverrides,
+  parseCliOverride,
+  getConfigFilePath,
+  readScopedConfig,
+  setConfigValue,
+  unsetConfigValue,
   getDiffBudget,
+  getBudgetDetails,
+  getFailurePolicy,
   loadTemplate,
+  getTemplateCandidates,
+  getPresetPath,
   initGlobalTemplate,
   hasGlobalTemplate,
   getTemplatesDir,
   getDefaultTemplateContent,
   getTemplateInstructions,
+  mergeConfig,
+  CONFIG_LAYERS,
+  CONFIG_SCOPES,
   CONFIG_FILE,
+  LOCAL_CONFIG_FILE,
   GLOBAL_TEMPLATE_FILE,
   LOCAL_TEMPLATE_FILE,
   DEFAULT_CONFIG
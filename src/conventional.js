@@ -0,0 +1,324 @@
+const path = require('path');
+
+/**
+ * Default allowed Conventional Commit types
+ */
+const DEFAULT_TYPES = [
+  'feat', 'fix', 'docs', 'style', 'refactor', 'perf',
+  'test', 'build', 'ci', 'chore', 'revert'
+];
+
+/**
+ * Common non-standard types the model produces, mapped to their standard form
+ */
+const TYPE_ALIASES = {
+  feature: 'feat',
+  features: 'feat',
+  bugfix: 'fix',
+  hotfix: 'fix',
+  doc: 'docs',
+  documentation: 'docs',
+  tests: 'test',
+  testing: 'test',
+  performance: 'perf',
+  refactoring: 'refactor',
+  deps: 'build',
+  dependencies: 'build'
+};
+
+/**
+ * Header format: type(scope)!: subject
+ */
+const HEADER_PATTERN = /^([a-zA-Z]+)(?:\(([^()\r\n]+)\))?(!)?: (.+)$/;
+
+/**
+ * Footer format: "Token: value" or "Token #value", tokens use - instead of spaces
+ * except for BREAKING CHANGE
+ */
+const FOOTER_PATTERN = /^(BREAKING CHANGE|BREAKING-CHANGE|[A-Za-z][\w-]*)(: | #)\S/;
+
+/**
+ * Path rules used to infer the commit type when every staged file matches one
+ */
+const TYPE_RULES = [
+  { type: 'docs', test: file => /\.(md|mdx|rst|adoc|txt)$/i.test(file) || /^docs?\//i.test(file) },
+  { type: 'test', test: file => /(^|\/)(__tests__|tests?|spec)\//i.test(file) || /\.(test|spec)\.[^/]+$/i.test(file) },
+  { type: 'ci', test: file => /^\.github\/workflows\//.test(file) || /^(\.gitlab-ci\.yml|\.circleci\/|\.travis\.yml|azure-pipelines\.yml|Jenkinsfile)/.test(file) },
+  { type: 'build', test: file => /(^|\/)(package(-lock)?\.json|yarn\.lock|pnpm-lock\.yaml|Makefile|Dockerfile|webpack\.config\.[^/]+|rollup\.config\.[^/]+|vite\.config\.[^/]+|tsconfig\.json)$/.test(file) }
+];
+
+/**
+ * Top-level directories that are containers rather than meaningful scopes
+ */
+const CONTAINER_DIRS = new Set(['src', 'lib', 'app', 'packages', 'apps', 'libs', 'modules', 'components']);
+
+/**
+ * Default conventional mode settings
+ */
+const DEFAULT_CONVENTIONAL_CONFIG = {
+  enabled: false,
+  types: DEFAULT_TYPES,
+  scopes: [],          // empty list allows any scope
+  requireScope: false,
+  maxHeaderLength: 72,
+  maxRetries: 2        // re-prompts before falling back to automatic repair
+};
+
+/**
+ * Multi-line instruction used instead of the emoji-based one in conventional mode
+ */
+const CONVENTIONAL_MULTI_LINE_INSTRUCTION = `
+⚠️ IMPORTANT: This commit has significant changes (10+ lines modified).
+You MUST create a multi-line commit message with:
+- A Conventional Commits header line
+- A blank line
+- A detailed body explaining what changed in EACH file
+- Use bullet points for clarity
+- Explain WHY each change was made, not just what changed
+`;
+
+/**
+ * Infer a commit type from the staged file paths
+ * @param {string[]} files - Staged file paths
+ * @returns {string|null} Inferred type, or null when the paths are not conclusive
+ */
+function inferType(files) {
+  if (files.length === 0) {
+    return null;
+  }
+  for (const rule of TYPE_RULES) {
+    if (files.every(rule.test)) {
+      return rule.type;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the scope candidate for a single file: its first meaningful directory
+ * @param {string} file - File path
+ * @returns {string|null} Scope candidate
+ */
+function fileScope(file) {
+  const parts = path.posix.dirname(file.replace(/\\/g, '/')).split('/').filter(p => p && p !== '.');
+  while (parts.length > 1 && CONTAINER_DIRS.has(parts[0])) {
+    parts.shift();
+  }
+  return parts.length > 0 ? parts[0] : null;
+}
+
+/**
+ * Infer a commit scope from the staged file paths
+ * @param {string[]} files - Staged file paths
+ * @param {string[]} [allowedScopes] - Allowed scopes; inferred scope must be one of them
+ * @returns {string|null} Inferred scope, or null when files span several areas
+ */
+function inferScope(files, allowedScopes = []) {
+  const scopes = new Set(files.map(fileScope));
+  if (scopes.size !== 1) {
+    return null;
+  }
+  const [scope] = scopes;
+  if (!scope) {
+    return null;
+  }
+  if (allowedScopes.length > 0 && !allowedScopes.includes(scope)) {
+    return null;
+  }
+  return scope;
+}
+
+/**
+ * Build the prompt instructions describing the required format
+ * @param {string[]} files - Staged file paths
+ * @param {Object} settings - Conventional mode settings
+ * @returns {string} Instruction text for the template
+ */
+function buildInstruction(files, settings) {
+  const type = inferType(files);
+  const scope = inferScope(files, settings.scopes);
+  const lines = [
+    'The commit message MUST follow the Conventional Commits 1.0.0 specification:',
+    '',
+    '  <type>[optional scope][!]: <description>',
+    '',
+    '  [optional body]',
+    '',
+    '  [optional footer(s)]',
+    '',
+    `- Allowed types: ${settings.types.join(', ')}`
+  ];
+
+  if (settings.scopes.length > 0) {
+    lines.push(`- Allowed scopes: ${settings.scopes.join(', ')}`);
+  }
+  if (settings.requireScope) {
+    lines.push('- A scope is required');
+  }
+  lines.push(`- The header line must be at most ${settings.maxHeaderLength} characters`);
+  lines.push('- Use the imperative mood, lowercase description, no trailing period, no emoji');
+  lines.push('- Mark breaking changes with "!" after the type/scope and a "BREAKING CHANGE: <description>" footer');
+
+  if (type) {
+    lines.push(`- Based on the changed files, the type is most likely "${type}"`);
+  }
+  if (scope) {
+    lines.push(`- Based on the changed files, a good scope is "${scope}"`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Split a message into header, body paragraphs and footer lines
+ * @param {string} message - Commit message
+ * @returns {{header: string, hasBlankLine: boolean, body: string, footers: string[]}} Message parts
+ */
+function parseMessage(message) {
+  const lines = message.trim().split('\n');
+  const header = lines[0] || '';
+  const hasBlankLine = lines.length < 2 || lines[1].trim() === '';
+  const rest = lines.slice(1).join('\n').trim();
+  const paragraphs = rest ? rest.split(/\n\s*\n/) : [];
+
+  // The last paragraph is the footer section if every line is a footer
+  // (indented lines continue the previous footer's value)
+  let footers = [];
+  if (paragraphs.length > 0) {
+    const last = paragraphs[paragraphs.length - 1].split('\n');
+    const isFooter = line => /^\s/.test(line) || FOOTER_PATTERN.test(line) || /^breaking[ -]change:/i.test(line);
+    if (!/^\s/.test(last[0]) && last.every(isFooter)) {
+      footers = last;
+      paragraphs.pop();
+    }
+  }
+
+  return {
+    header,
+    hasBlankLine,
+    body: paragraphs.join('\n\n'),
+    footers
+  };
+}
+
+/**
+ * Validate a commit message against the Conventional Commits specification
+ * @param {string} message - Commit message
+ * @param {Object} settings - Conventional mode settings
+ * @returns {string[]} List of problems, empty when the message is valid
+ */
+function validate(message, settings) {
+  const errors = [];
+  const { header, hasBlankLine, footers } = parseMessage(message);
+  const match = header.match(HEADER_PATTERN);
+
+  if (!match) {
+    errors.push(`Header "${header}" does not match "type(scope)!: description"`);
+  } else {
+    const [, type, scope, , description] = match;
+    if (!settings.types.includes(type)) {
+      errors.push(`Type "${type}" is not allowed (allowed: ${settings.types.join(', ')})`);
+    }
+    if (scope && settings.scopes.length > 0 && !settings.scopes.includes(scope)) {
+      errors.push(`Scope "${scope}" is not allowed (allowed: ${settings.scopes.join(', ')})`);
+    }
+    if (!scope && settings.requireScope) {
+      errors.push('A scope is required');
+    }
+    if (/\.$/.test(description)) {
+      errors.push('Description must not end with a period');
+    }
+  }
+
+  if (header.length > settings.maxHeaderLength) {
+    errors.push(`Header is ${header.length} characters (max ${settings.maxHeaderLength})`);
+  }
+  if (!hasBlankLine) {
+    errors.push('Header must be followed by a blank line');
+  }
+
+  for (const line of footers) {
+    if (/^breaking[ -]change:/i.test(line) && !/^BREAKING[ -]CHANGE:/.test(line)) {
+      errors.push(`Invalid footer "${line}" (breaking changes must use an uppercase "BREAKING CHANGE:" token)`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Shorten a header to the maximum length at a word boundary
+ * @param {string} prefix - The "type(scope)!: " part
+ * @param {string} description - The description
+ * @param {number} maxLength - Maximum header length
+ * @returns {string} The header
+ */
+function fitHeader(prefix, description, maxLength) {
+  let header = prefix + description;
+  if (header.length <= maxLength) {
+    return header;
+  }
+  header = header.substring(0, maxLength + 1);
+  const lastSpace = header.lastIndexOf(' ');
+  return (lastSpace > prefix.length ? header.substring(0, lastSpace) : header.substring(0, maxLength)).trimEnd();
+}
+
+/**
+ * Repair common problems in a generated message so it passes validation
+ * @param {string} message - Commit message
+ * @param {string[]} files - Staged file paths (used to infer a missing type/scope)
+ * @param {Object} settings - Conventional mode settings
+ * @returns {string} The repaired message
+ */
+function repair(message, files, settings) {
+  const parts = parseMessage(message);
+
+  // Drop emoji, bullets and quotes the model put in front of the type
+  let header = parts.header.replace(/^[^a-zA-Z]+/, '');
+  let match = header.match(HEADER_PATTERN);
+  if (!match) {
+    // Treat the whole line as the description; an empty one (e.g. "feat:" or an emoji-only
+    // header) is replaced by a generic description so the header is still valid
+    const fallbackType = inferType(files) || 'chore';
+    const fallbackDescription = files.length === 1 ? `update ${path.posix.basename(files[0])}` : 'update files';
+    header = `${fallbackType}: ${header.replace(/^[a-zA-Z]+(\([^)]*\))?!?:\s*/, '').trim() || fallbackDescription}`;
+    match = header.match(HEADER_PATTERN);
+  }
+
+  let [, type, scope, bang, description] = match;
+  type = type.toLowerCase();
+  type = TYPE_ALIASES[type] || type;
+  if (!settings.types.includes(type)) {
+    type = inferType(files) || (settings.types.includes('chore') ? 'chore' : settings.types[0]);
+  }
+  if (scope && settings.scopes.length > 0 && !settings.scopes.includes(scope)) {
+    scope = undefined;
+  }
+  if (!scope && settings.requireScope) {
+    scope = inferScope(files, settings.scopes) || settings.scopes[0];
+  }
+
+  description = description.trim().replace(/\.+$/, '');
+  const prefix = `${type}${scope ? `(${scope})` : ''}${bang || ''}: `;
+  header = fitHeader(prefix, description, settings.maxHeaderLength);
+
+  const footers = parts.footers.map(line => line.replace(/^breaking[ -]change:/i, 'BREAKING CHANGE:'));
+
+  return [header, parts.body, footers.join('\n')]
+    .filter(section => section.trim())
+    .join('\n\n');
+}
+
+module.exports = {
+  inferType,
+  inferScope,
+  buildInstruction,
+  parseMessage,
+  validate,
+  repair,
+  DEFAULT_TYPES,
+  TYPE_ALIASES,
+  HEADER_PATTERN,
+  DEFAULT_CONVENTIONAL_CONFIG,
+  CONVENTIONAL_MULTI_LINE_INSTRUCTION
+};
@@ -0,0 +1,280 @@
+const { loadConfig, loadTemplate } = require('./config');
+const { renderTemplate, createPartialLoader } = require('./template');
+const { buildTemplateContext } = require('./prompt');
+const { createProvider } = require('./providers');
+const conventional = require('./conventional');
+const { lintMessage, fixMessage } = require('./lint');
+const { estimateTokens, formatTokens } = require('./tokens');
+const { getStyleGuide } = require('./style');
+const { resolveTicket, applyTicket } = require('./ticket');
+const { keepSubject } = require('./sources');
+const { attachTrailers } = require('./trailers');
+
+/**
+ * System prompt sent with every generation request
+ */
+const SYSTEM_PROMPT = 'You are a helpful assistant that generates clear, informative git commit messages. You respond only with the commit message itself, no explanations or markdown formatting.';
+
+/**
+ * Build the prompt for a commit by rendering the active template
+ * @param {string} originalMessage - The original commit message from the user
+ * @param {string} diff - The git diff of staged changes
+ * @param {string} multiLineInstruction - Optional instruction for multi-line commits
+ * @param {Object} [options] - Extra generation options
+ * @param {string} [options.hint] - Additional guidance from the developer (used when regenerating)
+ * @param {string[]} [options.files] - Staged file paths (used to infer conventional type/scope)
+ * @param {Object[]} [options.fileStats] - Per-file stats entries (see getSmartStagedDiff) for the template
+ * @param {string} [options.instruction] - Instructions for this kind of commit (amend, template, merge, ...)
+ * @param {boolean} [options.conventional=true] - Set to false to skip conventional mode for this commit
+ * @param {string} [options.ticket] - Ticket ID (found with ticket.patterns when omitted)
+ * @param {Object} [options.config] - Loaded config (loaded when omitted)
+ * @returns {{prompt: string, template: Object}} The prompt and the template it came from
+ */
+function buildPrompt(originalMessage, diff, multiLineInstruction = '', options = {}) {
+  const config = options.config || loadConfig();
+  const conventionalSettings = config.conventional;
+  const useConventional = conventionalSettings.enabled && options.conventional !== false;
+  const templateResult = loadTemplate({ conventional: useConventional, preset: config.template });
+  const files = options.files || [];
+
+  const conventionalInstruction = useConventional
+    ? conventional.buildInstruction(files, conventionalSettings)
+    : '';
+  const styleGuide = getStyleGuide(config.style);
+  const ticket = options.ticket !== undefined ? options.ticket : resolveTicket(originalMessage, config.ticket);
+
+  // Build the prompt by rendering the template with the commit's data
+  const context = buildTemplateContext({
+    originalMessage,
+    diff,
+    multiLineInstruction,
+    conventionalInstruction,
+    fileStats: options.fileStats || [],
+    styleGuide,
+    ticket
+  });
+  let prompt = renderTemplate(templateResult.content, context, {
+    loadPartial: createPartialLoader(templateResult.path)
+  });
+
+  // Templates written before conventional mode existed still get its rules
+  if (conventionalInstruction && !/{{\s*CONVENTIONAL_INSTRUCTION\s*}}/.test(templateResult.content)) {
+    prompt = `${prompt}\n\n${conventionalInstruction}`;
+  }
+
+  // Likewise for the learned commit style
+  if (styleGuide && !/{{\s*STYLE_GUIDE\s*}}/.test(templateResult.content)) {
+    prompt = `${prompt}\n\n${styleGuide}`;
+  }
+
+  if (options.instruction) {
+    prompt += `\n\n${options.instruction}`;
+  }
+
+  if (options.hint) {
+    prompt += `\n\nAdditional guidance from the developer:\n${options.hint}`;
+  }
+
+  return { prompt, template: templateResult };
+}
+
+/**
+ * Generate an enhanced commit message using the configured LLM provider
+ * @param {string} originalMessage - The original commit message from the user
+ * @param {string} diff - The git diff of staged changes
+ * @param {string} multiLineInstruction - Optional instruction for multi-line commits
+ * @param {Object} [options] - Extra generation options (see buildPrompt)
+ * @param {number} [options.diffTokens] - Estimated tokens of the diff (for the usage report)
+ * @param {Object} [options.budget] - Diff budget details from getBudgetDetails (for the usage report)
+ * @param {string} [options.subject] - Subject line to keep, e.g. git's "Merge branch ..." line
+ * @param {string[]} [options.trailers] - The developer's trailer lines, reattached verbatim
+ * @returns {Promise<string>} The AI-generated commit message
+ */
+async function generateCommitMessage(originalMessage, diff, multiLineInstruction = '', options = {}) {
+  const config = loadConfig();
+  const conventionalSettings = config.conventional;
+  const provider = createProvider(config);
+  const files = options.files || [];
+  const ticket = options.ticket !== undefined ? options.ticket : resolveTicket(originalMessage, config.ticket);
+  const { prompt } = buildPrompt(originalMessage, diff, multiLineInstruction, { ...options, ticket, config });
+
+  let message = keepSubject(cleanMessage(await provider.complete({
+    system: SYSTEM_PROMPT,
+    prompt
+  })), options.subject);
+
+  // A ticket prefix counts towards the subject length, so it goes in before the message is checked
+  if (config.ticket.placement === 'prefix') {
+    message = applyTicket(message, ticket, config.ticket);
+  }
+
+  if (conventionalSettings.enabled && options.conventional !== false) {
+    message = await enforceConventional(message, { provider, prompt, files, settings: conventionalSettings });
+  }
+
+  if (config.lint.enabled) {
+    message = await enforceLint(message, { provider, prompt, settings: config.lint });
+  }
+
+  // Adds the ticket trailer, or the prefix again if a retry dropped it
+  message = applyTicket(attachTrailers(message, options.trailers), ticket, config.ticket);
+
+  if (config.reportUsage) {
+    reportUsage(provider.usage, { prompt, ...options });
+  }
+
+  return message;
+}
+
+/**
+ * Print how many tokens the generation used: the local estimate of the prompt
+ * against the budget and context window, and the usage the API reported
+ * @param {{requests: number, promptTokens: number, completionTokens: number}} usage - Usage reported by the provider
+ * @param {Object} details - Generation details
+ * @param {string} details.prompt - The prompt that was sent
+ * @param {number} [details.diffTokens] - Estimated tokens of the diff
+ * @param {Object} [details.budget] - Diff budget details
+ */
+function reportUsage(usage, { prompt, diffTokens, budget }) {
+  const promptTokens = estimateTokens(SYSTEM_PROMPT) + estimateTokens(prompt);
+  let line = `📊 Prompt: ~${formatTokens(promptTokens)} tokens`;
+  if (budget) {
+    line += ` (diff ~${formatTokens(diffTokens)} of ${formatTokens(budget.tokens)} budget, ` +
+      `${formatTokens(budget.contextWindow)} context window)`;
+  }
+  if (usage.requests > 0) {
+    line += ` · API: ${formatTokens(usage.promptTokens)} prompt + ${formatTokens(usage.completionTokens)} ` +
+      `completion tokens over ${usage.requests} request${usage.requests === 1 ? '' : 's'}`;
+  }
+  console.error(line);
+
+  if (budget && promptTokens + budget.responseTokens > budget.contextWindow) {
+    console.error(
+      `⚠️  The prompt may not fit the ${formatTokens(budget.contextWindow)} token context window of ${budget.model}; ` +
+      'lower diffBudget or set it to "auto"'
+    );
+  }
+}
+
+/**
+ * Clean up the message - remove any code fence or quotes if AI wrapped it
+ * @param {string} message - Raw model output
+ * @returns {string} Cleaned message
+ */
+function cleanMessage(message) {
+  return (message || '')
+    .trim()
+    .replace(/^```[^\n]*\n?/, '')
+    .replace(/\n?```$/, '')
+    .trim()
+    .replace(/^["']|["']$/g, '')
+    .trim();
+}
+
+/**
+ * Re-prompt the model while its message has problems
+ * @param {string} message - Generated message
+ * @param {Object} context - Retry context
+ * @param {Object} context.provider - Provider instance
+ * @param {string} context.prompt - The prompt that produced the message
+ * @param {Function} context.check - Returns the list of problems for a message
+ * @param {string} context.reason - What was wrong, shown to the model
+ * @param {number} context.maxRetries - Maximum number of re-prompts
+ * @returns {Promise<{message: string, problems: string[]}>} Last message and its remaining problems
+ */
+async function retryWithFeedback(message, { provider, prompt, check, reason, maxRetries }) {
+  let problems = check(message);
+
+  for (let attempt = 0; problems.length > 0 && attempt < maxRetries; attempt++) {
+    const retryPrompt = `${prompt}\n\n` +
+      `Your previous answer was ${reason}:\n` +
+      `${message}\n\n` +
+      `Problems:\n${problems.map(problem => `- ${problem}`).join('\n')}\n\n` +
+      'Respond with a corrected commit message only.';
+
+    message = cleanMessage(await provider.complete({
+      system: SYSTEM_PROMPT,
+      prompt: retryPrompt
+    }));
+    problems = check(message);
+  }
+
+  return { message, problems };
+}
+
+/**
+ * Make sure a message follows Conventional Commits: re-prompt the model with the
+ * validation errors, then repair whatever is still wrong
+ * @param {string} message - Generated message
+ * @param {Object} context - Generation context
+ * @param {Object} context.provider - Provider instance
+ * @param {string} context.prompt - The prompt that produced the message
+ * @param {string[]} context.files - Staged file paths
+ * @param {Object} context.settings - Conventional mode settings
+ * @returns {Promise<string>} A valid conventional commit message
+ */
+async function enforceConventional(message, { provider, prompt, files, settings }) {
+  const result = await retryWithFeedback(message, {
+    provider,
+    prompt,
+    check: candidate => conventional.validate(candidate, settings),
+    reason: 'not a valid Conventional Commits message',
+    maxRetries: settings.maxRetries
+  });
+
+  if (result.problems.length > 0) {
+    return conventional.repair(result.message, files, settings);
+  }
+  return result.message;
+}
+
+/**
+ * Apply the lint rules according to lint.onViolation:
+ * fix - fix mechanically, retry - re-prompt the model then fix, fail - throw
+ * @param {string} message - Generated message
+ * @param {Object} context - Generation context
+ * @param {Object} context.provider - Provider instance
+ * @param {string} context.prompt - The prompt that produced the message
+ * @param {Object} context.settings - Lint settings
+ * @returns {Promise<string>} The linted message
+ */
+async function enforceLint(message, { provider, prompt, settings }) {
+  const check = candidate => lintMessage(candidate, settings);
+
+  if (settings.onViolation === 'fail') {
+    const violations = check(message);
+    if (violations.length > 0) {
+      const error = new Error(
+        'Generated commit message failed lint rules:\n' +
+        violations.map(violation => `  - ${violation}`).join('\n')
+      );
+      // Lint failures always block the commit, whatever the failure policy says
+      error.code = 'LINT_FAILED';
+      throw error;
+    }
+    return message;
+  }
+
+  if (settings.onViolation === 'retry') {
+    const result = await retryWithFeedback(message, {
+      provider,
+      prompt,
+      check,
+      reason: 'not a well-formatted commit message',
+      maxRetries: settings.maxRetries
+    });
+    message = result.message;
+  }
+
+  const fixed = fixMessage(message, settings);
+  for (const violation of check(fixed)) {
+    console.error(`⚠️  Commit message lint: ${violation}`);
+  }
+  return fixed;
+}
+
+module.exports = {
+  generateCommitMessage,
+  buildPrompt,
+  SYSTEM_PROMPT
+};
@@ -1,6 +1,9 @@
-const { execSync } = require('child_process');
+const { execSync, execFileSync, spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { matchesAny } = require('./glob');
+const { condenseDiff } = require('./condense');
+const { classifyFile, summarizeFile } = require('./classify');
 
 /**
  * Media file extensions that should only show filename (no diff content)
@@ -15,7 +18,8 @@ const MEDIA_EXTENSIONS = new Set([
 ]);
 
 /**
- * Default budget for diff collection (in characters)
+ * Default character budget of getSmartStagedDiff when it is called without one
+ * The diffBudget setting is in tokens; callers turn it into characters with CHARS_PER_TOKEN
  */
 const DEFAULT_DIFF_BUDGET = 128000;
 
@@ -30,51 +34,519 @@ function isMediaFile(filePath) {
 }
 
 /**
- * Get list of staged files
- * @returns {string[]} Array of staged file paths
+ * Staged change types reported by git diff --name-status
+ */
+const CHANGE_TYPES = {
+  A: 'added',
+  M: 'modified',
+  D: 'deleted',
+  R: 'renamed',
+  C: 'copied',
+  T: 'type changed'
+};
+
+/**
+ * The empty tree, which the first commit is compared with
+ */
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+/**
+ * Object IDs git uses for the missing side of an added or deleted file
+ */
+const NULL_OBJECT_ID = /^0+$/;
+
+/**
+ * Describe a git file mode
+ * @param {string} mode - Octal mode from git diff --raw, e.g. "100755"
+ * @returns {string} "file", "executable", "symlink" or "submodule"
+ */
+function describeMode(mode) {
+  switch (mode) {
+    case '100755':
+      return 'executable';
+    case '120000':
+      return 'symlink';
+    case '160000':
+      return 'submodule';
+    default:
+      return 'file';
+  }
+}
+
+/**
+ * Run git without a shell, streaming its output so huge diffs are not limited by a buffer size
+ * @param {string[]} args - Git arguments
+ * @param {Object} [options] - Run options
+ * @param {string} [options.input] - Text written to git's stdin
+ * @param {Object} [options.env] - Extra environment variables
+ * @returns {Promise<string>} Standard output
+ */
+function runGit(args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', args, {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: options.env ? { ...process.env, ...options.env } : process.env
+    });
+    const stdout = [];
+    const stderr = [];
+
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => stderr.push(chunk));
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code !== 0) {
+        const error = new Error(`git ${args[0]} failed: ${Buffer.concat(stderr).toString('utf-8').trim()}`);
+        error.code = 'GIT_FAILED';
+        reject(error);
+        return;
+      }
+      resolve(Buffer.concat(stdout).toString('utf-8'));
+    });
+
+    // git may exit before reading all of its input
+    child.stdin.on('error', () => {});
+    child.stdin.end(options.input || '');
+  });
+}
+
+/**
+ * Escapes git uses in quoted paths
+ */
+const PATH_ESCAPES = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, '"': 34, '\\': 92 };
+
+/**
+ * Read a path that git may have quoted C-style ("dir/with \"quotes\"\303\251")
+ * @param {string} text - Text starting with the path
+ * @returns {{value: string, length: number}} The path and how many characters it took
+ *   (an unquoted path takes the whole text)
+ */
+function readQuotedPath(text) {
+  if (!text.startsWith('"')) {
+    return { value: text, length: text.length };
+  }
+
+  // Octal escapes are raw bytes of a UTF-8 name, so decode through a buffer
+  const bytes = [];
+  let i = 1;
+  while (i < text.length && text[i] !== '"') {
+    if (text[i] === '\\') {
+      const octal = text.substring(i + 1, i + 4);
+      if (/^[0-7]{3}$/.test(octal)) {
+        bytes.push(parseInt(octal, 8));
+        i += 4;
+      } else {
+        bytes.push(PATH_ESCAPES[text[i + 1]] ?? text.charCodeAt(i + 1));
+        i += 2;
+      }
+    } else {
+      bytes.push(...Buffer.from(text[i], 'utf-8'));
+      i++;
+    }
+  }
+  return { value: Buffer.from(bytes).toString('utf-8'), length: i + 1 };
+}
+
+/**
+ * Find the path a patch section belongs to (the new path of a rename or copy)
+ * @param {string} section - Patch text of one file, starting with its "diff --git" line
+ * @returns {string} Repository-relative path
+ */
+function getSectionPath(section) {
+  const lines = section.split('\n');
+  for (const line of lines) {
+    if (line.startsWith('@@')) {
+      break;
+    }
+    const header = line.match(/^(rename to|copy to|\+\+\+|---) (.*)$/);
+    if (!header || header[2] === '/dev/null') {
+      continue;
+    }
+    // git ends the ---/+++ lines of names with spaces with a tab
+    const { value } = readQuotedPath(header[1] === '+++' || header[1] === '---' ? header[2].replace(/\t$/, '') : header[2]);
+    return header[1] === '+++' || header[1] === '---' ? value.substring(2) : value;
+  }
+
+  // Mode changes and binary files only have the "diff --git a/<path> b/<path>" line, where both paths are equal
+  const names = lines[0].substring('diff --git '.length);
+  if (names.startsWith('"')) {
+    const first = readQuotedPath(names);
+    return readQuotedPath(names.substring(first.length + 1)).value.substring(2);
+  }
+  return names.substring(2, 2 + (names.length - 5) / 2);
+}
+
+/**
+ * Parse the output of git diff --raw --numstat --patch -z
+ * @param {string} output - NUL separated raw and numstat records, an empty record, then the patch
+ * @returns {Object[]} One {path, oldPath, status, similarity, oldMode, newMode, oldObject, newObject,
+ *   added, removed, binary, diff} entry per staged file, in git's order
+ */
+function parseStagedChanges(output) {
+  const boundary = output.indexOf('\0\0');
+  const fields = (boundary === -1 ? output : output.substring(0, boundary)).split('\0');
+  const patch = boundary === -1 ? '' : output.substring(boundary + 2);
+  const changes = [];
+  const byPath = new Map();
+  let i = 0;
+
+  while (i < fields.length) {
+    const field = fields[i];
+    if (field === '') {
+      i++;
+    } else if (field.startsWith(':')) {
+      // :<old mode> <new mode> <old object> <new object> <status><score>, then one or two paths
+      const [oldMode, newMode, oldObject, newObject, statusField] = field.substring(1).split(' ');
+      const status = statusField[0];
+      const twoPaths = status === 'R' || status === 'C';
+      const change = {
+        path: twoPaths ? fields[i + 2] : fields[i + 1],
+        oldPath: twoPaths ? fields[i + 1] : null,
+        status: CHANGE_TYPES[status] ? status : 'M',
+        similarity: twoPaths ? parseInt(statusField.substring(1), 10) : null,
+        oldMode,
+        newMode,
+        oldObject: NULL_OBJECT_ID.test(oldObject) ? null : oldObject,
+        newObject: NULL_OBJECT_ID.test(newObject) ? null : newObject,
+        added: 0,
+        removed: 0,
+        binary: false,
+        diff: ''
+      };
+      changes.push(change);
+      byPath.set(change.path, change);
+      i += twoPaths ? 3 : 2;
+    } else {
+      // <added>\t<removed>\t<path>, or an empty path followed by the old and new path of a rename
+      // Split at the first two tabs only; the path may contain tabs too
+      const [, added, removed, file] = field.match(/^([^\t]*)\t([^\t]*)\t([\s\S]*)$/);
+      const filePath = file === '' ? fields[i + 2] : file;
+      i += file === '' ? 3 : 1;
+      const change = byPath.get(filePath);
+      if (change) {
+        change.binary = added === '-';
+        change.added = change.binary ? 0 : parseInt(added, 10);
+        change.removed = change.binary ? 0 : parseInt(removed, 10);
+      }
+    }
+  }
+
+  // A type change has two sections (old file removed, new one added), so sections are appended
+  for (const section of patch.split(/^(?=diff --git )/m)) {
+    if (!section.startsWith('diff --git ')) {
+      continue;
+    }
+    const change = byPath.get(getSectionPath(section));
+    if (change) {
+      change.diff += section;
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Diff options shared by getStagedChanges and getCommitChanges: change types, line counts and
+ * patches in one machine-readable output, with renames and copies detected like git status does
+ */
+const CHANGE_FORMAT_ARGS = [
+  '--raw', '--numstat', '--patch', '-z', '--no-abbrev', '-M', '-C',
+  '--no-color', '--no-ext-diff', '--no-textconv', '--src-prefix=a/', '--dst-prefix=b/'
+];
+
+/**
+ * Read every staged change in one git invocation: change type, rename similarity,
+ * modes, line counts and the patch of each file
+ * Renames and copies are detected like git status does
+ * @param {string} [base] - Commit to compare the index with (default: HEAD), e.g. HEAD^ when amending
+ * @returns {Promise<Object[]>} Staged changes (see parseStagedChanges)
+ */
+async function getStagedChanges(base) {
+  try {
+    return parseStagedChanges(await runGit([
+      '-c', 'core.quotePath=false', 'diff', '--cached', ...CHANGE_FORMAT_ARGS, ...(base ? [base] : [])
+    ]));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Read the changes of an existing commit against its first parent, in the same form as getStagedChanges
+ * @param {string} commit - Commit to read
+ * @returns {Promise<Object[]>} The commit's changes (see parseStagedChanges)
+ */
+async function getCommitChanges(commit) {
+  return parseStagedChanges(await runGit([
+    '-c', 'core.quotePath=false', 'show', '--format=', '--first-parent', ...CHANGE_FORMAT_ARGS, commit
+  ]));
+}
+
+/**
+ * Read the cumulative changes of a branch, in the same form as getStagedChanges
+ * @param {string} base - Branch or commit the branch started from; changes are taken from its merge base with head
+ * @param {string} [head='HEAD'] - Tip of the branch
+ * @returns {Promise<Object[]>} The branch's changes (see parseStagedChanges)
  */
-function getStagedFileList() {
+async function getRangeChanges(base, head = 'HEAD') {
+  return parseStagedChanges(await runGit([
+    '-c', 'core.quotePath=false', 'diff', ...CHANGE_FORMAT_ARGS, `${base}...${head}`, '--'
+  ]));
+}
+
+/**
+ * Get the messages of the non-merge commits of a revision range, oldest first
+ * @param {string} range - Revision range, e.g. main..HEAD
+ * @returns {Promise<{sha: string, message: string}[]>} Abbreviated commit IDs with their full messages
+ */
+async function getRangeCommits(range) {
+  const output = await runGit(['log', '--no-merges', '--reverse', '--format=%h%x00%B%x1e', range, '--']);
+  return output.split('\x1e').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+    const [sha, ...message] = entry.split('\0');
+    return { sha, message: message.join('\0').trim() };
+  });
+}
+
+/**
+ * Find the branch pull requests usually target: the remote's default branch, or a local main or master
+ * @returns {string} Branch name (e.g. origin/main), or an empty string when there is none
+ */
+function getDefaultBranch() {
+  const candidates = [];
   try {
-    const output = execSync('git diff --cached --name-only', {
+    candidates.push(execSync('git symbolic-ref --quiet --short refs/remotes/origin/HEAD', {
       encoding: 'utf-8',
-      maxBuffer: 10 * 1024 * 1024
-    });
-    return output.trim().split('\n').filter(f => f.length > 0);
-  } catch (error) {
-    // Try without --cached for initial commit
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim());
+  } catch {
+    // No remote, or its HEAD was never fetched
+  }
+  candidates.push('main', 'master');
+
+  return candidates.find((branch) => {
     try {
-      const output = execSync('git diff HEAD --name-only', {
-        encoding: 'utf-8',
-        maxBuffer: 10 * 1024 * 1024
-      });
-      return output.trim().split('\n').filter(f => f.length > 0);
+      execFileSync('git', ['rev-parse', '--verify', '--quiet', `${branch}^{commit}`], { stdio: 'ignore' });
+      return true;
     } catch {
-      return [];
+      return false;
     }
-  }
+  }) || '';
 }
 
 /**
- * Get diff for a single file
- * @param {string} filePath - Path to the file
- * @returns {string} Diff content for the file
+ * Get the most recent tag reachable from a commit
+ * @param {string} [commit='HEAD'] - Commit to start from
+ * @returns {string} Tag name, or an empty string when there is none
  */
-function getFileDiff(filePath) {
+function getLatestTag(commit = 'HEAD') {
   try {
-    return execSync(`git diff --cached --no-color -- "${filePath}"`, {
+    return execFileSync('git', ['describe', '--tags', '--abbrev=0', commit], {
       encoding: 'utf-8',
-      maxBuffer: 10 * 1024 * 1024
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * List the commits of a revision range, oldest first
+ * @param {string} range - Revision range, e.g. main..HEAD
+ * @returns {Promise<{sha: string, parents: string[]}[]>} Commits with their parents
+ */
+async function listCommits(range) {
+  const output = await runGit(['rev-list', '--reverse', '--topo-order', '--parents', range, '--']);
+  return output.split('\n').filter(Boolean).map((line) => {
+    const [sha, ...parents] = line.split(' ');
+    return { sha, parents };
+  });
+}
+
+/**
+ * Read what a commit is made of, to re-create it with another message
+ * @param {string} commit - Commit to read
+ * @returns {Promise<{sha: string, tree: string, parents: string[], author: Object, message: string}>}
+ *   The commit's tree, parents, author (name, email and raw date) and full message
+ */
+async function readCommit(commit) {
+  const output = await runGit(['log', '-1', '--date=raw', '--format=%H%x00%T%x00%P%x00%an%x00%ae%x00%ad%x00%B', commit, '--']);
+  const [sha, tree, parents, name, email, date, ...message] = output.split('\0');
+  return {
+    sha,
+    tree,
+    parents: parents ? parents.split(' ') : [],
+    author: { name, email, date },
+    message: message.join('\0').replace(/\n+$/, '')
+  };
+}
+
+/**
+ * Create a commit object from a tree without touching the index, the working tree or any branch
+ * The author is kept; the committer is the current user, as with git rebase
+ * @param {Object} commit - Commit contents
+ * @param {string} commit.tree - Tree object
+ * @param {string[]} commit.parents - Parent commits
+ * @param {{name: string, email: string, date: string}} commit.author - Author identity and date
+ * @param {string} commit.message - Commit message
+ * @returns {Promise<string>} The new commit's ID
+ */
+async function createCommit({ tree, parents, author, message }) {
+  const output = await runGit(['commit-tree', tree, ...parents.flatMap(parent => ['-p', parent])], {
+    input: `${message}\n`,
+    env: {
+      GIT_AUTHOR_NAME: author.name,
+      GIT_AUTHOR_EMAIL: author.email,
+      GIT_AUTHOR_DATE: author.date
+    }
+  });
+  return output.trim();
+}
+
+/**
+ * List the remote-tracking branches that contain a commit
+ * @param {string} commit - Commit to look for
+ * @returns {Promise<string[]>} Remote-tracking branch names, e.g. origin/main
+ */
+async function getRemoteBranchesContaining(commit) {
+  const output = await runGit(['for-each-ref', '--contains', commit, '--format=%(refname:short)', 'refs/remotes']);
+  return output.split('\n').filter(line => line && !line.endsWith('/HEAD'));
+}
+
+/**
+ * Get list of staged files
+ * @returns {Promise<string[]>} Array of staged file paths
+ */
+async function getStagedFileList() {
+  return (await getStagedChanges()).map(change => change.path);
+}
+
+/**
+ * Get the sizes of git objects in one call
+ * @param {string[]} objects - Object IDs
+ * @returns {Promise<Object>} Map of object ID to size in bytes
+ */
+async function getObjectSizes(objects) {
+  const sizes = {};
+  if (objects.length === 0) {
+    return sizes;
+  }
+  try {
+    const output = await runGit(['cat-file', '--batch-check=%(objectname) %(objectsize)'], {
+      input: objects.join('\n') + '\n'
     });
-  } catch (error) {
-    try {
-      return execSync(`git diff HEAD --no-color -- "${filePath}"`, {
-        encoding: 'utf-8',
-        maxBuffer: 10 * 1024 * 1024
-      });
-    } catch {
-      return '';
+    for (const line of output.split('\n')) {
+      const [object, size] = line.split(' ');
+      if (size && /^\d+$/.test(size)) {
+        sizes[object] = Number(size);
+      }
     }
+  } catch {
+    // Sizes are only used for descriptions
+  }
+  return sizes;
+}
+
+/**
+ * Format a size in bytes, e.g. 12345 -> "12.1 KB"
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
   }
+  const units = ['KB', 'MB', 'GB'];
+  let size = bytes / 1024;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${size.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Quote a path with control characters (newlines, tabs) so it stays on one line
+ * @param {string} filePath - Repository-relative path
+ * @returns {string} The path, JSON-quoted if needed
+ */
+function displayPath(filePath) {
+  return /[\x00-\x1f\x7f]/.test(filePath) ? JSON.stringify(filePath) : filePath;
+}
+
+/**
+ * Describe a staged file in one line: change type, rename source, mode change,
+ * line counts, or sizes for binary files
+ * @param {Object} change - Staged change (see parseStagedChanges)
+ * @param {Object} sizes - Object sizes from getObjectSizes
+ * @param {string} kind - How the file is shown: "code", "media", "binary", "lockfile", "generated" or "vendored"
+ * @returns {string} e.g. "R086 src/old.js -> src/new.js (+2/-2)" or "D    legacy.js (-120 lines, not shown)"
+ */
+function describeChange(change, sizes, kind) {
+  const status = change.similarity !== null
+    ? `${change.status}${String(change.similarity).padStart(3, '0')}`
+    : change.status;
+  const name = change.oldPath ? `${displayPath(change.oldPath)} -> ${displayPath(change.path)}` : displayPath(change.path);
+  const notes = kind === 'code' || kind === 'binary' ? [] : [kind];
+
+  if (change.status === 'T') {
+    notes.push(`${describeMode(change.oldMode)} -> ${describeMode(change.newMode)}`);
+  } else if (change.status !== 'A' && change.status !== 'D' && change.oldMode !== change.newMode) {
+    notes.push(`mode ${change.oldMode} -> ${change.newMode}`);
+  }
+
+  if (change.binary) {
+    const oldSize = sizes[change.oldObject];
+    const newSize = sizes[change.newObject];
+    if (change.status === 'A' && newSize !== undefined) {
+      notes.push(`binary, ${formatBytes(newSize)}`);
+    } else if (change.status === 'D' && oldSize !== undefined) {
+      notes.push(`binary, was ${formatBytes(oldSize)}`);
+    } else if (oldSize !== undefined && newSize !== undefined && change.oldObject !== change.newObject) {
+      notes.push(`binary, ${formatBytes(oldSize)} -> ${formatBytes(newSize)}`);
+    } else {
+      notes.push('binary');
+    }
+  } else if (change.status === 'D') {
+    notes.push(`-${change.removed} lines, not shown`);
+  } else if (change.added > 0 || change.removed > 0) {
+    notes.push(`+${change.added}/-${change.removed}`);
+  }
+
+  return `${status.padEnd(4)} ${name}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+}
+
+/**
+ * Read the linguist-generated and linguist-vendored attributes of files from .gitattributes
+ * @param {string[]} files - Repository-relative paths
+ * @returns {Promise<Object>} Map of path to {generated, vendored}, each true, false or undefined when not set
+ */
+async function getLinguistAttributes(files) {
+  const attributes = {};
+  if (files.length === 0) {
+    return attributes;
+  }
+
+  // Paths go through stdin, so any number of files and any file name is fine
+  let output = '';
+  try {
+    output = await runGit(['check-attr', '-z', '--stdin', '--cached', 'linguist-generated', 'linguist-vendored'], {
+      input: files.join('\0') + '\0'
+    });
+  } catch {
+    return attributes;
+  }
+
+  // -z output is a flat list of path, attribute, value triples
+  const fields = output.split('\0');
+  for (let i = 0; i + 2 < fields.length; i += 3) {
+    const [file, attribute, value] = fields.slice(i, i + 3);
+    if (value === 'unspecified') {
+      continue;
+    }
+    const entry = attributes[file] || (attributes[file] = {});
+    entry[attribute === 'linguist-generated' ? 'generated' : 'vendored'] = value !== 'unset' && value !== 'false';
+  }
+  return attributes;
 }
 
 /**
@@ -98,107 +570,186 @@ function countDiffLines(diff) {
   return { added, removed };
 }
 
+/**
+ * Sizes and linguist attributes already looked up for a list of staged changes
+ */
+const stagedDetailsCache = new WeakMap();
+
+/**
+ * Look up the sizes of binary files (for their descriptions) and the linguist
+ * attributes of text files, once per list of staged changes
+ * @param {Object[]} staged - Staged changes from getStagedChanges
+ * @returns {Promise<{sizes: Object, attributes: Object}>} Object sizes and attributes by path
+ */
+function getStagedDetails(staged) {
+  // The promise is cached, so groups of a large commit collected in parallel share one lookup
+  if (!stagedDetailsCache.has(staged)) {
+    const binaryObjects = staged
+      .filter(change => change.binary)
+      .flatMap(change => [change.oldObject, change.newObject])
+      .filter(Boolean);
+    const textFiles = staged
+      .filter(change => !change.binary && !isMediaFile(change.path))
+      .map(change => change.path);
+    stagedDetailsCache.set(staged, Promise.all([
+      getObjectSizes(binaryObjects),
+      getLinguistAttributes(textFiles)
+    ]).then(([sizes, attributes]) => ({ sizes, attributes })));
+  }
+  return stagedDetailsCache.get(staged);
+}
+
 /**
  * Get staged diff with intelligent budget allocation
- * @param {number} budget - Total character budget for diff (default: 128000)
- * @returns {{diff: string, totalLinesChanged: number, fileCount: number}} Smart diff result
+ * @param {number} budget - Total character budget for diff (default: DEFAULT_DIFF_BUDGET)
+ * @param {Object} [options] - Collection options
+ * @param {string[]} [options.exclude] - Glob patterns of files to leave out entirely
+ * @param {string[]} [options.include] - Glob patterns of files always diffed in full, even if they look generated
+ * @param {boolean} [options.summarize=true] - Summarise lockfiles, generated and vendored files in one line
+ * @param {Function} [options.redact] - Called with (diff, file) for every file diff, returns the diff to use
+ * @param {string[]} [options.only] - Collect only these staged files (used to diff one group of a large commit)
+ * @param {Object[]} [options.staged] - Staged changes already read with getStagedChanges (read when omitted),
+ *   so the diff can be fitted to several budgets without running git again
+ * @returns {Promise<{diff: string, totalLinesChanged: number, fileCount: number, files: string[], fileStats: Object[], excluded: string[]}>}
+ *   Smart diff result; fileStats has one {path, oldPath, status, similarity, added, removed, kind, media, binary}
+ *   entry per file, where status is A, M, D, R, C or T and kind is "code", "media", "binary", "lockfile",
+ *   "generated" or "vendored"
  */
-function getSmartStagedDiff(budget = DEFAULT_DIFF_BUDGET) {
-  const files = getStagedFileList();
+async function getSmartStagedDiff(budget = DEFAULT_DIFF_BUDGET, options = {}) {
+  const staged = options.staged || await getStagedChanges();
+  const only = options.only ? new Set(options.only) : null;
+  // A rename from or to an excluded path is excluded too
+  const excluded = staged
+    .filter(change => matchesAny(change.path, options.exclude) || (change.oldPath && matchesAny(change.oldPath, options.exclude)))
+    .map(change => change.path);
+  const excludedSet = new Set(excluded);
+  const changes = staged.filter(change => !excludedSet.has(change.path) && (!only || only.has(change.path)));
+  const files = changes.map(change => change.path);
   
   if (files.length === 0) {
-    return { diff: '', totalLinesChanged: 0, fileCount: 0 };
+    return { diff: '', totalLinesChanged: 0, fileCount: 0, files, fileStats: [], excluded };
   }
   
-  // Separate media files from code files
-  const mediaFiles = [];
-  const codeFiles = [];
+  const { sizes, attributes } = await getStagedDetails(staged);
   
-  for (const file of files) {
-    if (isMediaFile(file)) {
-      mediaFiles.push(file);
-    } else {
-      codeFiles.push(file);
-    }
-  }
-  
-  // Collect diffs for code files
+  // Collect diffs for code files; lockfiles, generated and vendored files are
+  // summarised in one line instead of spending the budget on them, and
+  // deletions, pure renames and mode changes are described in the file list
   const fileDiffs = [];
+  const summarizedFiles = [];
+  const kinds = {};
   let totalLinesChanged = 0;
   
-  for (const file of codeFiles) {
-    const diff = getFileDiff(file);
-    const { added, removed } = countDiffLines(diff);
-    totalLinesChanged += added + removed;
+  for (const change of changes) {
+    const file = change.path;
+    if (isMediaFile(file)) {
+      kinds[file] = 'media';
+      continue;
+    }
+    if (change.binary) {
+      kinds[file] = 'binary';
+      continue;
+    }
+    
+    const hasHunks = change.status !== 'D' && change.added + change.removed > 0;
+    const rawDiff = hasHunks ? change.diff : '';
+    const kind = options.summarize === false
+      ? 'code'
+      : classifyFile(file, rawDiff, { attributes: attributes[file], include: options.include });
+    kinds[file] = kind;
+    
+    if (kind !== 'code') {
+      summarizedFiles.push({ file, kind, summary: summarizeFile(kind, file, rawDiff, change) });
+      continue;
+    }
+    
+    totalLinesChanged += change.added + change.removed;
+    if (!hasHunks) {
+      continue;
+    }
+    
+    const diff = options.redact ? options.redact(rawDiff, file) : rawDiff;
     fileDiffs.push({
       file,
       diff,
       length: diff.length,
-      truncated: false
+      oversized: false
     });
   }
   
+  // Per-file stats in staged order, for templates
+  const fileStats = changes.map(change => ({
+    path: change.path,
+    oldPath: change.oldPath,
+    status: change.status,
+    similarity: change.similarity,
+    added: change.added,
+    removed: change.removed,
+    kind: kinds[change.path],
+    media: kinds[change.path] === 'media',
+    binary: change.binary
+  }));
+  
+  // Every file with its change type, then the files that are only summarised
+  const listedParts = ['--- Staged files ---'];
+  for (const change of changes) {
+    listedParts.push(describeChange(change, sizes, kinds[change.path]));
+  }
+  listedParts.push('');
+  if (summarizedFiles.length > 0) {
+    listedParts.push('--- Lockfiles, generated and vendored files (summarized) ---');
+    for (const { file, kind, summary } of summarizedFiles) {
+      listedParts.push(`[${kind[0].toUpperCase()}${kind.substring(1)}] ${file}: ${summary}`);
+    }
+    listedParts.push('');
+  }
+  
   // Calculate initial budget per code file
-  const codeFileCount = codeFiles.length;
+  const codeFileCount = fileDiffs.length;
   if (codeFileCount === 0) {
-    // Only media files, just list them
-    const mediaList = mediaFiles.map(f => `[Media file] ${f}`).join('\n');
-    return { diff: mediaList, totalLinesChanged: 0, fileCount: files.length };
+    // Nothing to diff, just list the files
+    return { diff: listedParts.join('\n').trim(), totalLinesChanged, fileCount: files.length, files, fileStats, excluded };
   }
   
   const budgetPerFile = Math.floor(budget / codeFileCount);
   
   // First pass: allocate up to budget per file, track unused budget
   let unusedBudget = 0;
-  const truncatedFiles = [];
+  const oversizedFiles = [];
   
   for (const fd of fileDiffs) {
     if (fd.length <= budgetPerFile) {
       // File fits within budget, track unused portion
       unusedBudget += budgetPerFile - fd.length;
     } else {
-      // File exceeds budget, will need truncation
-      fd.truncated = true;
-      truncatedFiles.push(fd);
+      // File exceeds budget, will need condensing
+      fd.oversized = true;
+      oversizedFiles.push(fd);
     }
   }
   
-  // Second pass: redistribute unused budget to truncated files
-  if (unusedBudget > 0 && truncatedFiles.length > 0) {
-    const extraPerFile = Math.floor(unusedBudget / truncatedFiles.length);
-    for (const fd of truncatedFiles) {
+  // Second pass: redistribute unused budget to files that need condensing
+  if (unusedBudget > 0 && oversizedFiles.length > 0) {
+    const extraPerFile = Math.floor(unusedBudget / oversizedFiles.length);
+    for (const fd of oversizedFiles) {
       fd.allocatedBudget = budgetPerFile + extraPerFile;
     }
   } else {
-    for (const fd of truncatedFiles) {
+    for (const fd of oversizedFiles) {
       fd.allocatedBudget = budgetPerFile;
     }
   }
   
-  // Build final diff output
-  const diffParts = [];
+  // Build final diff output, listed files first
+  const diffParts = [...listedParts];
   
-  // Add media files first (just filenames)
-  if (mediaFiles.length > 0) {
-    diffParts.push('--- Media files (binary, showing names only) ---');
-    for (const file of mediaFiles) {
-      diffParts.push(`[Media] ${file}`);
-    }
-    diffParts.push('');
-  }
-  
-  // Add code file diffs
+  // Add code file diffs, condensing the ones over budget instead of cutting them off
   for (const fd of fileDiffs) {
-    if (fd.truncated && fd.allocatedBudget) {
-      // Truncate to allocated budget
-      const truncatedDiff = fd.diff.substring(0, fd.allocatedBudget);
-      diffParts.push(truncatedDiff);
-      diffParts.push(`\n... [${fd.file} diff truncated, ${fd.length - fd.allocatedBudget} chars omitted]`);
-    } else if (fd.length > budgetPerFile) {
-      // Truncate to base budget
-      const truncatedDiff = fd.diff.substring(0, budgetPerFile);
-      diffParts.push(truncatedDiff);
-      diffParts.push(`\n... [${fd.file} diff truncated, ${fd.length - budgetPerFile} chars omitted]`);
+    const allocated = fd.allocatedBudget || budgetPerFile;
+    if (fd.length > allocated) {
+      const condensed = condenseDiff(fd.diff, allocated, fd.file);
+      diffParts.push(condensed);
+      diffParts.push(`... [${fd.file} diff condensed from ${fd.length} to ${condensed.length} chars]`);
     } else {
       diffParts.push(fd.diff);
     }
@@ -207,7 +758,10 @@ function getSmartStagedDiff(budget = DEFAULT_DIFF_BUDGET) {
   return {
     diff: diffParts.join('\n'),
     totalLinesChanged,
-    fileCount: files.length
+    fileCount: files.length,
+    files,
+    fileStats,
+    excluded
   };
 }
 
@@ -291,6 +845,192 @@ function getStagedDiff() {
   }
 }
 
+/**
+ * Get the name of the current branch
+ * @returns {string} Branch name, or an empty string on a detached HEAD or outside a repo
+ */
+function getCurrentBranch() {
+  try {
+    return execSync('git symbolic-ref --quiet --short HEAD', { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Get the subjects of the most recent commits on the current branch
+ * @param {number} count - Number of commits
+ * @returns {string[]} Commit subjects, newest first (empty before the first commit)
+ */
+function getRecentCommitSubjects(count) {
+  try {
+    const output = execSync(`git log -n ${Number(count)} --format=%s`, {
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    });
+    return output.split('\n').filter(line => line.length > 0);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Get the commit an amended commit's changes are compared with: the parent of HEAD,
+ * or the empty tree when HEAD is the first commit
+ * @returns {string} Commit or tree object name
+ */
+function getAmendBase() {
+  try {
+    return execSync('git rev-parse --verify --quiet HEAD^', {
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+  } catch {
+    return EMPTY_TREE;
+  }
+}
+
+/**
+ * Check whether the commit being prepared amends HEAD when git passes no commit source,
+ * as with "git commit --amend -m ..."
+ * An amended commit keeps HEAD's author and author date, which git exports to the hook;
+ * a new commit is dated now
+ * @returns {boolean}
+ */
+function isAmendingHead() {
+  const { GIT_AUTHOR_NAME, GIT_AUTHOR_EMAIL, GIT_AUTHOR_DATE } = process.env;
+  if (!GIT_AUTHOR_DATE) {
+    return false;
+  }
+  try {
+    const [name, email, date] = execFileSync('git', ['log', '-1', '--format=%an%n%ae%n%at', 'HEAD'], {
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).split('\n');
+    return GIT_AUTHOR_DATE.replace(/^@/, '').split(' ')[0] === date &&
+      GIT_AUTHOR_NAME === name && GIT_AUTHOR_EMAIL === email;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the full messages of recent non-merge commits
+ * @param {number} count - Maximum number of commits
+ * @param {Object} [filters] - Commit filters
+ * @param {string[]} [filters.paths] - Only commits touching these paths
+ * @param {string[]} [filters.authors] - Only commits whose author matches one of these patterns
+ * @returns {string[]} Commit messages, newest first (empty before the first commit)
+ */
+function getCommitMessages(count, { paths = [], authors = [] } = {}) {
+  try {
+    const output = execFileSync('git', [
+      'log', '--no-merges', `-n${Number(count)}`, '--format=%B%x00',
+      ...authors.map(author => `--author=${author}`),
+      '--', ...paths
+    ], {
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      maxBuffer: 64 * 1024 * 1024
+    });
+    return output.split('\0').map(message => message.trim()).filter(message => message.length > 0);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Resolve a path inside the repository's .git directory
+ * @param {string} name - Path relative to the git directory, e.g. MERGE_HEAD
+ * @returns {string} Absolute path (or relative to the current directory), or an empty string outside a repository
+ */
+function getGitPath(name) {
+  try {
+    return execFileSync('git', ['rev-parse', '--git-path', name], {
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Get the subjects of the commits a merge in progress brings in
+ * @param {number} count - Maximum number of subjects
+ * @returns {string[]} Subjects of the non-merge commits reachable from MERGE_HEAD but not HEAD, newest first
+ */
+function getMergedCommitSubjects(count) {
+  try {
+    const heads = fs.readFileSync(getGitPath('MERGE_HEAD'), 'utf-8').split('\n').filter(Boolean);
+    const output = execFileSync('git', ['log', '--no-merges', `-n${Number(count)}`, '--format=%s', ...heads, '^HEAD'], {
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    });
+    return output.split('\n').filter(line => line.length > 0);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Get the author git will record for the commit
+ * Honours GIT_AUTHOR_NAME/GIT_AUTHOR_EMAIL and user.name/user.email
+ * @returns {{name: string, email: string}} Author name and email (empty when unknown)
+ */
+function getAuthor() {
+  try {
+    const ident = execSync('git var GIT_AUTHOR_IDENT', { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    const match = ident.match(/^(.*?)\s*<([^>]*)>/);
+    return match ? { name: match[1], email: match[2] } : { name: ident, email: '' };
+  } catch {
+    return { name: '', email: '' };
+  }
+}
+
+/**
+ * Get the character git starts comment lines of commit messages with
+ * @returns {string} core.commentString or core.commentChar ("auto" included), or "#"
+ */
+function getCommentChar() {
+  for (const key of ['core.commentString', 'core.commentChar']) {
+    try {
+      const value = execFileSync('git', ['config', key], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).replace(/\n$/, '');
+      if (value) {
+        return value;
+      }
+    } catch {
+      // Not set
+    }
+  }
+  return '#';
+}
+
+/**
+ * Get how git cleans up commit messages (commit.cleanup)
+ * @returns {string} strip, whitespace, verbatim, scissors or default
+ */
+function getCleanupMode() {
+  try {
+    return execFileSync('git', ['config', 'commit.cleanup'], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim() || 'default';
+  } catch {
+    return 'default';
+  }
+}
+
+/**
+ * Get the editor git would use for commit messages
+ * Honours GIT_EDITOR, core.editor, VISUAL and EDITOR in git's own order
+ * @returns {string} Editor command
+ */
+function getEditor() {
+  try {
+    return execSync('git var GIT_EDITOR', { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return process.env.VISUAL || process.env.EDITOR || 'vi';
+  }
+}
+
 /**
  * Get the prepare-commit-msg hook path
  * @returns {string} Full path to the hook file
@@ -325,14 +1065,17 @@ function generateHookScript() {
 
 COMMIT_MSG_FILE="$1"
 COMMIT_SOURCE="$2"
+COMMIT_OBJECT="$3"
 
-# Only process if this is a regular commit (not merge, squash, etc.)
-if [ -z "$COMMIT_SOURCE" ] || [ "$COMMIT_SOURCE" = "message" ]; then
-  nullcommits process "$COMMIT_MSG_FILE"
-  exit $?
-fi
+# Every commit source is passed on; nullcommits decides what to do with it
+# (see the sources.* config options)
 
-exit 0
+# Git hooks get no stdin; reattach the terminal so interactive review can prompt
+if [ -t 2 ] && (exec < /dev/tty) 2>/dev/null; then
+  exec < /dev/tty
+fi
+nullcommits process "$COMMIT_MSG_FILE" "$COMMIT_SOURCE" "$COMMIT_OBJECT"
+exit $?
 `;
 }
 
@@ -344,12 +1087,37 @@ module.exports = {
   getStagedDiff,
   getSmartStagedDiff,
   getStagedFileList,
-  getFileDiff,
+  getStagedChanges,
+  getCommitChanges,
+  getRangeChanges,
+  getRangeCommits,
+  getDefaultBranch,
+  getLatestTag,
+  listCommits,
+  readCommit,
+  createCommit,
+  getRemoteBranchesContaining,
+  parseStagedChanges,
+  describeChange,
+  runGit,
+  getLinguistAttributes,
   isMediaFile,
   countDiffLines,
+  getEditor,
+  getCurrentBranch,
+  getRecentCommitSubjects,
+  getMergedCommitSubjects,
+  getCommitMessages,
+  getGitPath,
+  getAmendBase,
+  isAmendingHead,
+  getAuthor,
+  getCommentChar,
+  getCleanupMode,
   getHookPath,
   isHookInstalled,
   generateHookScript,
   MEDIA_EXTENSIONS,
+  CHANGE_TYPES,
   DEFAULT_DIFF_BUDGET
 };
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * Convert a glob pattern to a regular expression
+ * Supports *, **, ?, [...] and {a,b}. Patterns without a slash match the
+ * file name in any directory, like .gitignore entries
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(pattern) {
+  // A trailing slash only says the pattern is a directory
+  let glob = pattern.replace(/\\/g, '/').replace(/\/+$/, '');
+  const anchored = glob.includes('/') && !glob.startsWith('**/');
+  glob = glob.replace(/^\//, '');
+
+  let regex = '';
+  let inGroup = false;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // "**/" matches zero or more directories, a trailing "**" matches everything
+        if (glob[i + 2] === '/') {
+          regex += '(?:.*/)?';
+          i += 2;
+        } else {
+          regex += '.*';
+          i += 1;
+        }
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i);
+      if (end === -1) {
+        regex += '\\[';
+      } else {
+        regex += '[' + glob.substring(i + 1, end).replace(/^!/, '^') + ']';
+        i = end;
+      }
+    } else if (char === '{') {
+      inGroup = true;
+      regex += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      regex += ')';
+    } else if (char === ',' && inGroup) {
+      regex += '|';
+    } else {
+      regex += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+
+  // A pattern naming a directory also matches everything inside it
+  const suffix = '(?:/.*)?';
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${regex}${suffix}$`);
+}
+
+/**
+ * Check whether a path matches any of the glob patterns
+ * @param {string} filePath - Repository-relative path
+ * @param {string[]} patterns - Glob patterns
+ * @returns {boolean} True if at least one pattern matches
+ */
+function matchesAny(filePath, patterns = []) {
+  const normalized = filePath.replace(/\\/g, '/');
+  return patterns.some(pattern => globToRegExp(pattern).test(normalized));
+}
+
+module.exports = {
+  globToRegExp,
+  matchesAny
+};
@@ -1,7 +1,35 @@
 const fs = require('fs');
-const { getSmartStagedDiff } = require('./git');
-const { generateCommitMessage } = require('./openai');
-const { getDiffBudget } = require('./config');
+const {
+  getSmartStagedDiff,
+  getStagedChanges,
+  getCommitChanges,
+  getRangeChanges,
+  getRepoRoot,
+  getCommentChar,
+  getCleanupMode
+} = require('./git');
+const { generateCommitMessage } = require('./generator');
+const { getBudgetDetails, getFailurePolicy, loadConfig } = require('./config');
+const { reviewMessage, canReview } = require('./review');
+const { CONVENTIONAL_MULTI_LINE_INSTRUCTION } = require('./conventional');
+const { createRedactor, summarizeFindings } = require('./redact');
+const { matchesAny } = require('./glob');
+const { estimateTokens, CHARS_PER_TOKEN } = require('./tokens');
+const { summarizeLargeCommit, isLargeCommit } = require('./map-reduce');
+const { planCommitSource } = require('./sources');
+const { findSkipReason, removeMarkers } = require('./skip');
+const { resolveTicket, checkTicket } = require('./ticket');
+const { parseMessageFile, attachTrailers, formatMessageFile } = require('./trailers');
+
+/**
+ * Error codes that always abort the commit, whatever the failure policy says
+ */
+const BLOCKING_ERRORS = new Set(['LINT_FAILED', 'SECRETS_DETECTED']);
+
+/**
+ * Times the diff is collected while fitting it to the token budget
+ */
+const MAX_BUDGET_PASSES = 3;
 
 /**
  * Multi-line commit instruction to inject when there are many changes
@@ -16,53 +44,309 @@ You MUST create a multi-line commit message with:
 - Explain WHY each change was made, not just what changed
 `;
 
+/**
+ * Apply the failure policy to an error: rethrow it to abort the commit, or warn in one line
+ * and let the caller fall back
+ * Lint and secret failures are deliberate rejections and always abort the commit
+ * @param {Error} error - Error from loading the config, generating or reviewing the message
+ * @param {string} fallback - What the commit keeps instead, for the warning
+ * @throws {Error} The error itself when the commit must be aborted
+ */
+function handleFailure(error, fallback) {
+  if (BLOCKING_ERRORS.has(error.code) || getFailurePolicy() === 'block') {
+    throw error;
+  }
+  console.error(`⚠️  nullcommits: ${error.message.split('\n')[0]} - keeping ${fallback}`);
+}
+
 /**
  * Process a commit message file - called by the git hook
  * @param {string} msgFile - Path to the commit message file
+ * @param {string} [source] - Commit source git passed to the hook (message, template, commit, merge, squash)
+ * @param {string} [object] - Commit the message comes from (commit source only)
  */
-async function processCommitMessage(msgFile) {
+async function processCommitMessage(msgFile, source = '', object = '') {
   // Read the original commit message
   if (!fs.existsSync(msgFile)) {
     throw new Error(`Commit message file not found: ${msgFile}`);
   }
 
-  const originalMessage = fs.readFileSync(msgFile, 'utf-8').trim();
+  const rawMessage = fs.readFileSync(msgFile, 'utf-8');
 
-  // Skip if it looks like a merge commit or other special commit
-  if (originalMessage.startsWith('Merge ') ||
-      originalMessage.startsWith('Revert ') ||
-      originalMessage.startsWith('Human:') ||
-      originalMessage.startsWith('fixup!') ||
-      originalMessage.startsWith('squash!')) {
-    // Don't modify special commits
+  // A broken config file is a failure like any other: it must not block the commit
+  let config;
+  try {
+    config = loadConfig({ requireApiKey: false });
+  } catch (error) {
+    handleFailure(error, 'your original message');
     return;
   }
+  const debug = reason => {
+    if (config.debug) {
+      console.error(`🔍 nullcommits: skipped, ${reason}`);
+    }
+  };
 
-  // Get the staged diff with intelligent budget allocation
-  const diffBudget = getDiffBudget();
-  const { diff, totalLinesChanged, fileCount } = getSmartStagedDiff(diffBudget);
-  
-  if (!diff.trim()) {
+  // Only the message itself goes to the model; trailers, comments and the
+  // "git commit -v" diff below the scissors line are put back as they were. Without a
+  // commit source git opens the editor; otherwise its help text shows whether it does
+  const parsed = parseMessageFile(rawMessage, {
+    commentChar: getCommentChar(),
+    cleanup: getCleanupMode(),
+    edited: source ? undefined : true
+  });
+  // "git commit --amend --no-edit" and "-C" reuse a message as it is, with no editor to review a rewrite in
+  if (source === 'commit' && !parsed.edited) {
+    debug('the message is reused without editing');
+    return;
+  }
+  const plan = planCommitSource({ source, object, message: parsed.message }, config.sources);
+  if (!plan) {
+    debug(`sources.${source || 'message'} is "skip"`);
+    return;
+  }
+  const { originalMessage } = plan;
+
+  // Leave special commits (reverts, fixups, [no-ai], ...) alone
+  const skip = findSkipReason({ message: originalMessage, source: plan.source }, config);
+  if (skip) {
+    debug(skip.reason);
+    if (skip.markers.length > 0) {
+      fs.writeFileSync(msgFile, removeMarkers(rawMessage, skip.markers), 'utf-8');
+    }
+    return;
+  }
+
+  let result;
+  try {
+    result = await enhanceMessage(originalMessage, { ...plan, trailers: parsed.trailers });
+  } catch (error) {
+    handleFailure(error, 'your original message');
+    return;
+  }
+
+  if (!result) {
     console.log('⚠️  No changes detected in diff. Using original message.');
     return;
   }
 
+  let message = result.message;
+
+  // Let the developer review the message when running in a terminal
+  // Regenerating or picking alternatives calls the model again, so its errors follow the failure policy too
+  if (config.interactive && canReview()) {
+    try {
+      message = await reviewMessage({
+        originalMessage,
+        message,
+        regenerate: result.regenerate,
+        alternatives: config.alternatives
+      });
+    } catch (error) {
+      handleFailure(error, 'the generated message');
+    }
+    // Keeping the original message must not lose its trailers (e.g. Signed-off-by)
+    message = attachTrailers(message, parsed.trailers);
+  }
+
+  // The ticket may have been dropped by the model or while reviewing
+  checkTicket(message, result.ticket, config.ticket);
+
+  // Write the enhanced message back to the file
+  fs.writeFileSync(msgFile, formatMessageFile(message, parsed), 'utf-8');
+}
+
+/**
+ * Collect the staged diff within the token budget, with secrets redacted
+ * The diff is collected against a character budget; when the token estimate
+ * comes out over budget, the character budget shrinks by the overshoot and the diff is collected again
+ * @param {Object} config - Loaded configuration
+ * @param {Object} budget - Budget details from getBudgetDetails
+ * @param {Object[]} staged - Staged changes read with getStagedChanges
+ * @param {string[]} [only] - Collect only these staged files
+ * @returns {Promise<{changes: Object, diffTokens: number, redactor: Object|null}>} getSmartStagedDiff result,
+ *   its estimated size in tokens and the redactor that scrubbed it
+ */
+async function collectBudgetedDiff(config, budget, staged, only) {
+  const { redact, diff: diffSettings } = config;
+  const secretPaths = redact.enabled ? redact.excludePaths : [];
+  let charBudget = Math.floor(budget.tokens * CHARS_PER_TOKEN);
+  let result;
+
+  for (let attempt = 0; attempt < MAX_BUDGET_PASSES; attempt++) {
+    // Scrub secrets before anything leaves the machine
+    const redactor = redact.enabled ? createRedactor(redact) : null;
+    const changes = await getSmartStagedDiff(charBudget, {
+      exclude: [...secretPaths, ...diffSettings.exclude],
+      include: diffSettings.include,
+      summarize: diffSettings.summarizeGenerated,
+      redact: redactor ? redactor.redact : null,
+      only,
+      staged
+    });
+    result = { changes, diffTokens: estimateTokens(changes.diff), redactor };
+    if (result.diffTokens <= budget.tokens) {
+      break;
+    }
+    charBudget = Math.max(1, Math.floor(charBudget * budget.tokens / result.diffTokens * 0.95));
+  }
+
+  return result;
+}
+
+/**
+ * Collect the staged changes the way they will be sent to the model:
+ * budgeted, with secrets redacted and excluded files left out
+ * @param {Object} [options] - Collection options
+ * @param {string} [options.base] - Commit to compare the index with (default: HEAD)
+ * @param {string} [options.commit] - Collect the changes of this existing commit instead of the staged ones
+ * @param {string} [options.since] - Collect everything HEAD changed since it branched off this branch instead
+ * @returns {Promise<{diff: string, totalLinesChanged: number, fileCount: number, files: string[], fileStats: Object[], multiLineInstruction: string, diffTokens: number, budget: Object, staged: Object[], largeCommit: boolean}|null>}
+ *   The diff with its stats, its estimated size in tokens, the budget it was fitted to,
+ *   the staged changes it was built from, whether it is summarised group by group
+ *   and the multi-line instruction to use, or null if nothing is staged
+ */
+async function collectChanges({ base, commit, since } = {}) {
+  const config = loadConfig({ requireApiKey: false });
+  const { conventional, redact } = config;
+  const budget = getBudgetDetails(config);
+  // git is run once; every budget pass and every group of a large commit reuses its output
+  let staged;
+  if (since) {
+    staged = await getRangeChanges(since);
+  } else {
+    staged = commit ? await getCommitChanges(commit) : await getStagedChanges(base);
+  }
+  const { changes, diffTokens, redactor } = await collectBudgetedDiff(config, budget, staged);
+  const { diff, totalLinesChanged, fileCount, files, fileStats, excluded } = changes;
+
+  if (redactor) {
+    const secretPaths = redact.excludePaths;
+    reportRedactions(redactor.findings, excluded.filter(file => matchesAny(file, secretPaths)), redact);
+  }
+
+  if (!diff.trim()) {
+    return null;
+  }
+
   // Determine if we need multi-line commit instruction
   const requireMultiLine = totalLinesChanged > 10;
-  const multiLineInstruction = requireMultiLine ? MULTI_LINE_INSTRUCTION : '';
+  let multiLineInstruction = '';
+  if (requireMultiLine) {
+    multiLineInstruction = conventional.enabled ? CONVENTIONAL_MULTI_LINE_INSTRUCTION : MULTI_LINE_INSTRUCTION;
+  }
 
-  // Generate the enhanced message
-  const enhancedMessage = await generateCommitMessage(
+  return {
+    diff,
+    totalLinesChanged,
+    fileCount,
+    files,
+    fileStats,
+    multiLineInstruction,
+    diffTokens,
+    budget,
+    staged,
+    largeCommit: isLargeCommit(fileStats, config.mapReduce)
+  };
+}
+
+/**
+ * Get the diff to write from: the collected diff, or for very large changes
+ * the summaries of each group of files
+ * @param {Object} changes - Changes from collectChanges
+ * @param {string} originalMessage - What the developer wrote, as context for the summaries
+ * @returns {Promise<{diff: string, diffTokens: number}>} The diff and its estimated size in tokens
+ */
+async function condenseChanges(changes, originalMessage) {
+  if (!changes.largeCommit) {
+    return { diff: changes.diff, diffTokens: changes.diffTokens };
+  }
+
+  const config = loadConfig();
+  const summary = await summarizeLargeCommit(changes, {
+    config,
+    originalMessage,
+    repoRoot: getRepoRoot(),
+    collectGroupDiff: async groupFiles => (await collectBudgetedDiff(config, changes.budget, changes.staged, groupFiles)).changes.diff
+  });
+  return { diff: summary.diff, diffTokens: estimateTokens(summary.diff) };
+}
+
+/**
+ * Generate an enhanced message for the currently staged changes
+ * Very large commits are summarised group by group first, and the message is
+ * written from those summaries instead of the diff
+ * @param {string} originalMessage - The developer's original commit message
+ * @param {Object} [plan] - How to handle the commit's source (see planCommitSource)
+ * @param {string[]} [plan.trailers] - Trailer lines of the original message, reattached to every generated message
+ * @param {string} [plan.commit] - Describe this existing commit instead of the staged changes
+ * @returns {Promise<{message: string, totalLinesChanged: number, fileCount: number, ticket: string, regenerate: Function}|null>}
+ *   The generated message with diff stats, the commit's ticket and a function to generate another
+ *   message (optionally with an extra hint) from the same diff, or null if nothing is staged
+ */
+async function enhanceMessage(originalMessage, plan = {}) {
+  const changes = await collectChanges({ base: plan.base, commit: plan.commit });
+  if (!changes) {
+    return null;
+  }
+
+  const { totalLinesChanged, fileCount, files, fileStats, multiLineInstruction, budget } = changes;
+  const { diff, diffTokens } = await condenseChanges(changes, originalMessage);
+
+  // Regenerating reuses the summaries of a large commit
+  const { instruction, conventional, subject, trailers } = plan;
+  const ticket = resolveTicket(originalMessage, loadConfig({ requireApiKey: false }).ticket);
+  const regenerate = (hint = '') => generateCommitMessage(
     originalMessage,
     diff,
-    multiLineInstruction
+    multiLineInstruction,
+    { hint, files, fileStats, diffTokens, budget, instruction, conventional, subject, ticket, trailers }
   );
-  
-  // Write the enhanced message back to the file
-  fs.writeFileSync(msgFile, enhancedMessage, 'utf-8');
+
+  // Generate the enhanced message
+  const message = await regenerate();
+
+  return {
+    message,
+    totalLinesChanged,
+    fileCount,
+    ticket,
+    regenerate
+  };
+}
+
+/**
+ * Tell the developer what was kept from the model, or abort when configured to
+ * @param {Object[]} findings - Redaction findings
+ * @param {string[]} excluded - Files left out of the diff
+ * @param {Object} settings - Redaction settings
+ */
+function reportRedactions(findings, excluded, settings) {
+  if (findings.length > 0 && settings.abortOnSecrets) {
+    const error = new Error(
+      'Possible secrets found in staged changes:\n' +
+      summarizeFindings(findings).map(line => `  - ${line}`).join('\n') + '\n' +
+      'Unstage them, or set redact.abortOnSecrets to false to send a redacted diff.'
+    );
+    error.code = 'SECRETS_DETECTED';
+    throw error;
+  }
+
+  if (findings.length > 0) {
+    console.error(`🔒 Redacted ${findings.length} possible secret(s) before sending the diff:`);
+    for (const line of summarizeFindings(findings)) {
+      console.error(`   ${line}`);
+    }
+  }
+  if (excluded.length > 0) {
+    console.error(`🔒 Excluded from the diff: ${excluded.join(', ')}`);
+  }
 }
 
 module.exports = {
   processCommitMessage,
+  enhanceMessage,
+  collectChanges,
+  condenseChanges,
   MULTI_LINE_INSTRUCTION
 };
\ No newline at end of file
@@ -0,0 +1,194 @@
+/**
+ * Default lint settings for generated messages
+ */
+const DEFAULT_LINT_CONFIG = {
+  enabled: true,
+  maxSubjectLength: 72,
+  blankSecondLine: true,
+  bodyWrap: 72,           // 0 disables body wrapping
+  noCodeFences: true,
+  noTrailingPeriod: true,
+  noPreamble: true,
+  bannedWords: [],
+  onViolation: 'fix',     // fix, retry or fail
+  maxRetries: 2           // re-prompts in "retry" mode before falling back to fixing
+};
+
+/**
+ * Supported values for lint.onViolation
+ */
+const VIOLATION_ACTIONS = ['fix', 'retry', 'fail'];
+
+/**
+ * Chatty first lines models put before the actual message
+ */
+const PREAMBLE_PATTERN = /^(sure|certainly|okay|ok|here is|here's|here are|below is|the following is|commit message)\b[^\n]*:?\s*$/i;
+
+/**
+ * Lines that must never be re-wrapped: bullets keep their own wrapping rules,
+ * trailers and URLs must stay on one line
+ */
+const BULLET_PATTERN = /^(\s*)([-*•]|\d+[.)])\s+/;
+const TRAILER_PATTERN = /^[A-Za-z][\w-]*: \S/;
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a regex matching a banned word or phrase as a whole word
+ * @param {string} word - Banned word
+ * @param {boolean} [withSpace] - Also match one preceding space, for removal
+ * @returns {RegExp} Case-insensitive pattern
+ */
+function bannedWordPattern(word, withSpace = false) {
+  return new RegExp(`${withSpace ? '[ \\t]?' : ''}\\b${escapeRegExp(word)}\\b`, 'gi');
+}
+
+/**
+ * Check a commit message against the lint rules
+ * @param {string} message - Commit message
+ * @param {Object} settings - Lint settings
+ * @returns {string[]} List of violations, empty when the message is clean
+ */
+function lintMessage(message, settings) {
+  const violations = [];
+  const lines = message.split('\n');
+  const subject = lines[0] || '';
+
+  if (settings.noPreamble && PREAMBLE_PATTERN.test(subject)) {
+    violations.push(`Message starts with a preamble ("${subject}") instead of the commit subject`);
+  }
+  if (settings.noCodeFences && lines.some(line => line.trim().startsWith('```'))) {
+    violations.push('Message contains markdown code fences');
+  }
+  if (settings.maxSubjectLength && subject.length > settings.maxSubjectLength) {
+    violations.push(`Subject is ${subject.length} characters (max ${settings.maxSubjectLength})`);
+  }
+  if (settings.noTrailingPeriod && /\.\s*$/.test(subject)) {
+    violations.push('Subject must not end with a period');
+  }
+  if (settings.blankSecondLine && lines.length > 1 && lines[1].trim() !== '') {
+    violations.push('Second line must be blank');
+  }
+  if (settings.bodyWrap) {
+    const longLines = lines.slice(1).filter(line =>
+      line.length > settings.bodyWrap && /\s/.test(line.trim()) && !TRAILER_PATTERN.test(line)
+    );
+    if (longLines.length > 0) {
+      violations.push(`${longLines.length} body line(s) longer than ${settings.bodyWrap} characters`);
+    }
+  }
+  for (const word of settings.bannedWords || []) {
+    if (bannedWordPattern(word).test(message)) {
+      violations.push(`Message contains banned word "${word}"`);
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Wrap a single line to the given width, keeping the indentation of bullets
+ * @param {string} line - Line to wrap
+ * @param {number} width - Maximum line width
+ * @returns {string[]} Wrapped lines
+ */
+function wrapLine(line, width) {
+  if (line.length <= width || TRAILER_PATTERN.test(line)) {
+    return [line];
+  }
+
+  const bullet = line.match(BULLET_PATTERN);
+  const firstPrefix = bullet ? bullet[0] : line.match(/^\s*/)[0];
+  const indent = ' '.repeat(firstPrefix.length);
+  const words = line.substring(firstPrefix.length).split(/\s+/).filter(Boolean);
+
+  const wrapped = [];
+  let current = firstPrefix;
+  let currentHasWord = false;
+  for (const word of words) {
+    if (currentHasWord && current.length + 1 + word.length > width) {
+      wrapped.push(current);
+      current = indent + word;
+    } else {
+      current += (currentHasWord ? ' ' : '') + word;
+    }
+    currentHasWord = true;
+  }
+  wrapped.push(current);
+  return wrapped;
+}
+
+/**
+ * Shorten a subject to the maximum length at a word boundary
+ * @param {string} subject - Subject line
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Shortened subject
+ */
+function shortenSubject(subject, maxLength) {
+  if (subject.length <= maxLength) {
+    return subject;
+  }
+  const cut = subject.substring(0, maxLength + 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return (lastSpace > maxLength / 2 ? cut.substring(0, lastSpace) : subject.substring(0, maxLength)).trimEnd();
+}
+
+/**
+ * Automatically fix every violation that can be fixed mechanically
+ * @param {string} message - Commit message
+ * @param {Object} settings - Lint settings
+ * @returns {string} The fixed message
+ */
+function fixMessage(message, settings) {
+  let lines = message.trim().split('\n');
+
+  if (settings.noPreamble) {
+    while (lines.length > 1 && (PREAMBLE_PATTERN.test(lines[0]) || lines[0].trim() === '')) {
+      lines.shift();
+    }
+  }
+  if (settings.noCodeFences) {
+    lines = lines.filter(line => !line.trim().startsWith('```'));
+  }
+  while (lines.length > 1 && lines[0].trim() === '') {
+    lines.shift();
+  }
+
+  let text = lines.join('\n');
+  for (const word of settings.bannedWords || []) {
+    text = text.replace(bannedWordPattern(word, true), '');
+  }
+  lines = text.split('\n').map(line => line.trimEnd());
+
+  let subject = lines[0].trim();
+  if (settings.noTrailingPeriod) {
+    subject = subject.replace(/\.+$/, '');
+  }
+  if (settings.maxSubjectLength) {
+    subject = shortenSubject(subject, settings.maxSubjectLength);
+  }
+
+  let body = lines.slice(1);
+  if (settings.blankSecondLine && body.length > 0 && body[0].trim() !== '') {
+    body.unshift('');
+  }
+  if (settings.bodyWrap) {
+    body = body.flatMap(line => wrapLine(line, settings.bodyWrap));
+  }
+
+  return [subject, ...body].join('\n').trim();
+}
+
+module.exports = {
+  lintMessage,
+  fixMessage,
+  DEFAULT_LINT_CONFIG,
+  VIOLATION_ACTIONS
+};
@@ -0,0 +1,311 @@
+const fs = require('fs');
+const path = require('path');
+const { createProvider } = require('./providers');
+const { estimateTokens, formatTokens } = require('./tokens');
+
+/**
+ * Default settings for multi-pass generation of very large commits
+ */
+const DEFAULT_MAP_REDUCE_CONFIG = {
+  enabled: true,
+  threshold: 50,        // diffed files at which a commit is summarised group by group
+  groupBy: 'directory', // directory or module
+  depth: 2,             // directory levels that make up a group name in "directory" mode
+  concurrency: 4,       // summaries requested at the same time
+  maxCalls: 16          // model calls per commit, including the final message and its retries
+};
+
+/**
+ * Supported values for mapReduce.groupBy
+ */
+const GROUP_BY_MODES = ['directory', 'module'];
+
+/**
+ * Files that mark the root of a module (package, crate, Go module, ...)
+ */
+const MODULE_MANIFESTS = [
+  'package.json', 'go.mod', 'Cargo.toml', 'pyproject.toml', 'setup.py', 'pom.xml',
+  'build.gradle', 'build.gradle.kts', 'composer.json', 'Gemfile', 'mix.exs', 'pubspec.yaml'
+];
+
+/**
+ * Group name for files in the repository root
+ */
+const ROOT_GROUP = '(root)';
+
+/**
+ * System prompt for the per-group summary requests
+ */
+const SUMMARY_SYSTEM_PROMPT = 'You summarise one part of a large git commit for the person writing its commit message. You respond only with concise bullet points, no preamble.';
+
+/**
+ * Check whether a file's diff is sent in full rather than described in one line
+ * @param {Object} file - File stats entry
+ * @returns {boolean}
+ */
+function isDiffed(file) {
+  return file.kind === 'code' && file.status !== 'D';
+}
+
+/**
+ * Check whether a commit is large enough to be summarised group by group
+ * @param {Object[]} fileStats - Per-file stats entries (see getSmartStagedDiff)
+ * @param {Object} settings - mapReduce settings
+ * @returns {boolean}
+ */
+function isLargeCommit(fileStats, settings) {
+  // Only diffed files compete for the budget; media, binary, deleted and summarised files cost one line each
+  const diffedFiles = fileStats.filter(isDiffed).length;
+  return settings.enabled && diffedFiles >= settings.threshold;
+}
+
+/**
+ * Find the module a file belongs to: the closest directory with a manifest file
+ * @param {string} file - File path relative to the repository root
+ * @param {string} repoRoot - Repository root
+ * @param {Map} cache - Module lookups by directory, shared between files
+ * @returns {string} Module directory, or ROOT_GROUP
+ */
+function findModule(file, repoRoot, cache) {
+  const visited = [];
+  let dir = path.posix.dirname(file);
+  let module = ROOT_GROUP;
+
+  while (dir !== '.') {
+    if (cache.has(dir)) {
+      module = cache.get(dir);
+      break;
+    }
+    visited.push(dir);
+    if (MODULE_MANIFESTS.some(name => fs.existsSync(path.join(repoRoot, dir, name)))) {
+      module = dir;
+      break;
+    }
+    dir = path.posix.dirname(dir);
+  }
+
+  for (const seen of visited) {
+    cache.set(seen, module);
+  }
+  return module;
+}
+
+/**
+ * Name the group of a file: its first directory levels, or its module
+ * @param {string} file - File path relative to the repository root
+ * @param {Object} settings - mapReduce settings
+ * @param {Function} moduleOf - Finds the module of a file (module mode)
+ * @returns {string} Group name
+ */
+function groupName(file, settings, moduleOf) {
+  if (settings.groupBy === 'module') {
+    return moduleOf(file);
+  }
+  const dirs = file.split('/').slice(0, -1);
+  return dirs.length > 0 ? dirs.slice(0, settings.depth).join('/') : ROOT_GROUP;
+}
+
+/**
+ * Count the calls the final message may take: the message itself, then the
+ * Conventional Commits and lint retries that re-prompt the model
+ * @param {Object} config - Loaded configuration
+ * @returns {number} Calls to keep out of mapReduce.maxCalls
+ */
+function countFinalCalls(config) {
+  let calls = 1;
+  if (config.conventional.enabled) {
+    calls += config.conventional.maxRetries;
+  }
+  if (config.lint.enabled && config.lint.onViolation === 'retry') {
+    calls += config.lint.maxRetries;
+  }
+  return calls;
+}
+
+/**
+ * Split the staged files into groups, one summary request each
+ * When there are more groups than calls allowed, neighbouring groups (in name order)
+ * with the fewest changed lines are merged until they fit
+ * @param {Object[]} fileStats - Per-file stats entries (see getSmartStagedDiff)
+ * @param {Object} settings - mapReduce settings
+ * @param {string} repoRoot - Repository root (for module lookups)
+ * @param {number} [reservedCalls=1] - Calls kept for the final message (see countFinalCalls)
+ * @returns {{name: string, files: string[], lines: number, diffed: boolean}[]} Groups sorted by name;
+ *   diffed is false for groups of files that are only described in one line
+ */
+function groupFiles(fileStats, settings, repoRoot, reservedCalls = 1) {
+  const cache = new Map();
+  const moduleOf = file => findModule(file, repoRoot, cache);
+  const byName = new Map();
+
+  for (const file of fileStats) {
+    const name = groupName(file.path, settings, moduleOf);
+    if (!byName.has(name)) {
+      byName.set(name, { name, first: name, last: name, files: [], lines: 0, diffed: false });
+    }
+    const group = byName.get(name);
+    group.files.push(file.path);
+    group.lines += file.added + file.removed;
+    group.diffed = group.diffed || isDiffed(file);
+  }
+
+  const groups = [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+
+  // Calls are kept for composing the final message and its retries; at least one group is summarised
+  const maxGroups = Math.max(1, settings.maxCalls - reservedCalls);
+  while (groups.length > maxGroups) {
+    let smallest = 0;
+    for (let i = 1; i < groups.length - 1; i++) {
+      if (groups[i].lines + groups[i + 1].lines < groups[smallest].lines + groups[smallest + 1].lines) {
+        smallest = i;
+      }
+    }
+    // Groups are in name order, so a merged group covers a range of names
+    const [first, second] = groups.splice(smallest, 2);
+    groups.splice(smallest, 0, {
+      name: `${first.first} .. ${second.last}`,
+      first: first.first,
+      last: second.last,
+      files: [...first.files, ...second.files],
+      lines: first.lines + second.lines,
+      diffed: first.diffed || second.diffed
+    });
+  }
+
+  return groups;
+}
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Called with (item, index), returns a promise
+ * @returns {Promise<Array>} Results in item order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Build the prompt that asks for a summary of one group
+ * @param {Object} group - Group of files
+ * @param {string} diff - Diff of the group's files
+ * @param {string} originalMessage - The developer's original commit message
+ * @param {number} groupCount - Total number of groups
+ * @returns {string} Summary prompt
+ */
+function buildSummaryPrompt(group, diff, originalMessage, groupCount) {
+  const lines = [`This is one of ${groupCount} parts of a large commit touching many files.`];
+  if (originalMessage) {
+    lines.push(`The developer's commit message: ${originalMessage}`);
+  }
+  lines.push(
+    `Summarise the changes to ${group.name} (${group.files.length} files) in 1-5 short bullet points.`,
+    'Name the important files, functions and behaviour changes, and why they were made if the diff shows it.',
+    '',
+    'Diff:',
+    diff
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Describe a group whose summary could not be generated
+ * @param {Object} group - Group of files
+ * @returns {string} Fallback summary listing the files
+ */
+function fallbackSummary(group) {
+  const shown = group.files.slice(0, 10).map(file => `- ${file}`);
+  if (group.files.length > shown.length) {
+    shown.push(`- ... and ${group.files.length - shown.length} more files`);
+  }
+  return `(no summary available, files changed:)\n${shown.join('\n')}`;
+}
+
+/**
+ * Summarise a large commit group by group, so every group gets a full diff
+ * budget instead of a sliver of one shared budget
+ * @param {Object} changes - Collected changes (see collectChanges)
+ * @param {Object} context - Summary context
+ * @param {Object} context.config - Loaded configuration
+ * @param {string} context.originalMessage - The developer's original commit message
+ * @param {string} context.repoRoot - Repository root
+ * @param {Function} context.collectGroupDiff - Resolves to the budgeted diff of the given files
+ * @returns {Promise<{diff: string, groups: Object[]}>} The composed summaries, used as the diff
+ *   of the final request, and the groups they came from
+ */
+async function summarizeLargeCommit(changes, { config, originalMessage, repoRoot, collectGroupDiff }) {
+  const settings = config.mapReduce;
+  const provider = createProvider(config);
+  const groups = groupFiles(changes.fileStats, settings, repoRoot, countFinalCalls(config));
+  const requests = groups.filter(group => group.diffed).length;
+
+  console.error(
+    `🧩 Large commit (${changes.fileCount} files): summarising ${requests} group(s), ` +
+    `${Math.min(settings.concurrency, requests)} at a time`
+  );
+
+  const summaries = await mapWithConcurrency(groups, settings.concurrency, async (group) => {
+    const diff = await collectGroupDiff(group.files);
+    // Files that are only described need no summary
+    if (!group.diffed) {
+      return diff;
+    }
+    try {
+      const summary = await provider.complete({
+        system: SUMMARY_SYSTEM_PROMPT,
+        prompt: buildSummaryPrompt(group, diff, originalMessage, groups.length)
+      });
+      return summary.trim();
+    } catch (error) {
+      // A bad key or exhausted quota fails every request; anything else only costs this group
+      if (error.retryable === false) {
+        throw error;
+      }
+      console.error(`⚠️  Could not summarise ${group.name}: ${error.message.split('\n')[0]}`);
+      return fallbackSummary(group);
+    }
+  });
+
+  const statsByPath = new Map(changes.fileStats.map(file => [file.path, file]));
+  const diff = [
+    `--- Large commit: ${changes.fileCount} files summarised in ${groups.length} group(s) ---`,
+    ...groups.map((group, index) => {
+      const stats = group.files.map(file => statsByPath.get(file));
+      const added = stats.reduce((sum, file) => sum + file.added, 0);
+      const removed = stats.reduce((sum, file) => sum + file.removed, 0);
+      return `\n### ${group.name} (${group.files.length} files, +${added}/-${removed})\n${summaries[index]}`;
+    })
+  ].join('\n');
+
+  if (config.reportUsage) {
+    let line = `📊 Summaries: ~${formatTokens(estimateTokens(diff))} tokens from ${requests} request(s)`;
+    if (provider.usage.requests > 0) {
+      line += ` · API: ${formatTokens(provider.usage.promptTokens)} prompt + ` +
+        `${formatTokens(provider.usage.completionTokens)} completion tokens`;
+    }
+    console.error(line);
+  }
+
+  return { diff, groups };
+}
+
+module.exports = {
+  summarizeLargeCommit,
+  isLargeCommit,
+  groupFiles,
+  mapWithConcurrency,
+  DEFAULT_MAP_REDUCE_CONFIG,
+  GROUP_BY_MODES
+};
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getRepoRoot, getCurrentBranch, getAuthor } = require('./git');
+
+/**
+ * Default settings for pull request descriptions
+ */
+const DEFAULT_PR_CONFIG = {
+  base: 'auto',   // branch pull requests target; auto uses origin's default branch, main or master
+  maxCommits: 50  // commit messages shown to the model, newest kept
+};
+
+/**
+ * Pull request template in the repository root
+ */
+const LOCAL_PR_TEMPLATE_FILE = '.nullcommits.pr-template';
+
+/**
+ * Pull request template in the home directory
+ */
+const GLOBAL_PR_TEMPLATE_FILE = path.join(os.homedir(), '.nullcommits.pr-template');
+
+/**
+ * Bundled pull request template
+ */
+const BUNDLED_PR_TEMPLATE_FILE = path.join(__dirname, '..', 'templates', 'pull-request.txt');
+
+/**
+ * System prompt sent with every pull request request
+ */
+const PR_SYSTEM_PROMPT = 'You are a helpful assistant that writes clear pull request titles and descriptions. You respond only with the title and the markdown description, no preamble.';
+
+/**
+ * Variables available to pull request templates, with their descriptions
+ */
+const PR_TEMPLATE_VARIABLES = {
+  BASE: 'Branch the pull request targets',
+  BRANCH: 'Current branch name (empty on a detached HEAD)',
+  COMMITS: 'Commits since the base, oldest first; loop with {{#each COMMITS}} to use sha, subject and message',
+  COMMIT_LOG: 'Commit subjects since the base, oldest first, one per line',
+  COMMIT_COUNT: 'Number of commits since the base',
+  DIFF: 'The cumulative diff since the base',
+  FILES: 'Changed files; loop with {{#each FILES}} to use path, oldPath, status, similarity, added, removed, kind, media and binary',
+  FILE_LIST: 'Changed file paths, one per line',
+  FILE_COUNT: 'Number of changed files',
+  LINES_ADDED: 'Total lines added',
+  LINES_REMOVED: 'Total lines removed',
+  LINES_CHANGED: 'Total lines added and removed',
+  TICKET: 'Ticket ID from the branch name, found with ticket.patterns',
+  AUTHOR: 'Your name',
+  REPO_NAME: 'Repository directory name'
+};
+
+/**
+ * Load the pull request template: .nullcommits.pr-template (local) >
+ * ~/.nullcommits.pr-template (global) > bundled
+ * @returns {{content: string, source: string, path: string}} Template content and source info
+ */
+function loadPrTemplate() {
+  const repoRoot = getRepoRoot();
+  const candidates = [
+    { source: 'local', path: repoRoot ? path.join(repoRoot, LOCAL_PR_TEMPLATE_FILE) : null },
+    { source: 'global', path: GLOBAL_PR_TEMPLATE_FILE },
+    { source: 'bundled', path: BUNDLED_PR_TEMPLATE_FILE }
+  ];
+  const candidate = candidates.find(entry => entry.path && fs.existsSync(entry.path));
+
+  if (!candidate) {
+    throw new Error(`Bundled pull request template not found: ${BUNDLED_PR_TEMPLATE_FILE}`);
+  }
+
+  return {
+    content: fs.readFileSync(candidate.path, 'utf-8'),
+    source: candidate.source,
+    path: candidate.path
+  };
+}
+
+/**
+ * Build the variables a pull request template is rendered with
+ * @param {Object} data - Branch data
+ * @param {string} data.base - Branch the pull request targets
+ * @param {{sha: string, message: string}[]} data.commits - Commits since the base, oldest first
+ * @param {number} [data.commitCount] - Number of commits since the base, when only the newest are passed
+ * @param {string} data.diff - The (budgeted, redacted) cumulative diff
+ * @param {Object[]} data.fileStats - Per-file stats entries (see getSmartStagedDiff)
+ * @param {string} [data.ticket] - Ticket ID
+ * @returns {Object} Template context keyed by variable name
+ */
+function buildPrContext({ base, commits, commitCount = commits.length, diff, fileStats, ticket = '' }) {
+  const repoRoot = getRepoRoot();
+  const linesAdded = fileStats.reduce((sum, file) => sum + file.added, 0);
+  const linesRemoved = fileStats.reduce((sum, file) => sum + file.removed, 0);
+  const entries = commits.map(({ sha, message }) => ({ sha, subject: message.split('\n')[0], message }));
+
+  return {
+    BASE: base,
+    BRANCH: getCurrentBranch(),
+    COMMITS: entries,
+    COMMIT_LOG: entries.map(commit => commit.subject).join('\n'),
+    COMMIT_COUNT: commitCount,
+    DIFF: diff,
+    FILES: fileStats,
+    FILE_LIST: fileStats.map(file => file.path).join('\n'),
+    FILE_COUNT: fileStats.length,
+    LINES_ADDED: linesAdded,
+    LINES_REMOVED: linesRemoved,
+    LINES_CHANGED: linesAdded + linesRemoved,
+    TICKET: ticket,
+    AUTHOR: getAuthor().name,
+    REPO_NAME: repoRoot ? path.basename(repoRoot) : ''
+  };
+}
+
+/**
+ * Split the model's answer into a title and a markdown body
+ * @param {string} text - Model output
+ * @returns {{title: string, body: string}} Title without markdown, and the body
+ */
+function parsePullRequest(text) {
+  // Some models wrap the whole answer in a code fence
+  const unfenced = text.trim().replace(/^```[\w-]*\n([\s\S]*?)\n```$/, '$1');
+  const [first, ...rest] = unfenced.trim().split('\n');
+  const title = first
+    .replace(/^#+\s*/, '')
+    .replace(/^\*\*(.*)\*\*$/, '$1')
+    .replace(/^title:\s*/i, '')
+    .replace(/^["'`](.*)["'`]$/, '$1')
+    .trim();
+  return { title, body: rest.join('\n').trim() };
+}
+
+module.exports = {
+  loadPrTemplate,
+  buildPrContext,
+  parsePullRequest,
+  DEFAULT_PR_CONFIG,
+  PR_TEMPLATE_VARIABLES,
+  PR_SYSTEM_PROMPT,
+  LOCAL_PR_TEMPLATE_FILE,
+  GLOBAL_PR_TEMPLATE_FILE
+};
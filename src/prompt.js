@@ -0,0 +1,107 @@
+const path = require('path');
+const { getRepoRoot, getCurrentBranch, getRecentCommitSubjects, getAuthor } = require('./git');
+const { findTicket } = require('./ticket');
+
+/**
+ * Number of recent commit subjects exposed as {{RECENT_COMMITS}}
+ */
+const RECENT_COMMIT_COUNT = 10;
+
+/**
+ * Variables available to templates, with their descriptions
+ */
+const TEMPLATE_VARIABLES = {
+  ORIGINAL_MESSAGE: 'The original commit message you provided',
+  DIFF: 'The git diff of staged changes',
+  MULTI_LINE_INSTRUCTION: 'Auto-injected when 10+ lines changed',
+  CONVENTIONAL_INSTRUCTION: 'Conventional Commits rules (empty unless conventional mode is on)',
+  BRANCH: 'Current branch name (empty on a detached HEAD)',
+  FILES: 'Staged files; loop with {{#each FILES}} to use path, oldPath, status, similarity, added, removed, kind, media and binary',
+  FILE_LIST: 'Staged file paths, one per line',
+  FILE_COUNT: 'Number of staged files',
+  LINES_ADDED: 'Total lines added',
+  LINES_REMOVED: 'Total lines removed',
+  LINES_CHANGED: 'Total lines added and removed',
+  RECENT_COMMITS: `Subjects of the last ${RECENT_COMMIT_COUNT} commits, one per line`,
+  STYLE_GUIDE: 'Conventions and example messages learned from the commit history (empty unless style.enabled is on)',
+  AUTHOR: 'Commit author name',
+  AUTHOR_EMAIL: 'Commit author email',
+  TICKET: 'Ticket ID from the branch name or original message, found with ticket.patterns (e.g. ABC-123 or #42)',
+  REPO_NAME: 'Repository directory name'
+};
+
+/**
+ * Bundled template presets (templates/<name>.txt), selected with the "template" option
+ */
+const TEMPLATE_PRESETS = {
+  default: 'Emoji summary with an enthusiastic, detailed body',
+  conventional: 'Conventional Commits (used by default in conventional mode)',
+  terse: 'A single short imperative line, body only for large changes',
+  gitmoji: 'gitmoji.dev emoji codes with a short factual body',
+  changelog: 'Detailed body grouped into Added/Changed/Fixed/Removed for changelogs'
+};
+
+/**
+ * Build the variables a template is rendered with
+ * @param {Object} data - Generation data
+ * @param {string} data.originalMessage - The developer's original commit message
+ * @param {string} data.diff - The (budgeted, redacted) staged diff
+ * @param {string} [data.multiLineInstruction] - Multi-line instruction, if any
+ * @param {string} [data.conventionalInstruction] - Conventional Commits instruction, if any
+ * @param {Object[]} [data.fileStats] - Per-file stats entries (see getSmartStagedDiff)
+ * @param {string} [data.styleGuide] - Style learned from the commit history, if any
+ * @param {string} [data.ticket] - Ticket ID (found with the default patterns when omitted)
+ * @returns {Object} Template context keyed by variable name
+ */
+function buildTemplateContext({ originalMessage, diff, multiLineInstruction = '', conventionalInstruction = '', fileStats = [], styleGuide = '', ticket }) {
+  const branch = getCurrentBranch();
+  const author = getAuthor();
+  const repoRoot = getRepoRoot();
+  const linesAdded = fileStats.reduce((sum, file) => sum + file.added, 0);
+  const linesRemoved = fileStats.reduce((sum, file) => sum + file.removed, 0);
+
+  return {
+    ORIGINAL_MESSAGE: originalMessage,
+    DIFF: diff,
+    MULTI_LINE_INSTRUCTION: multiLineInstruction,
+    CONVENTIONAL_INSTRUCTION: conventionalInstruction,
+    BRANCH: branch,
+    FILES: fileStats,
+    FILE_LIST: fileStats.map(file => file.path).join('\n'),
+    FILE_COUNT: fileStats.length,
+    LINES_ADDED: linesAdded,
+    LINES_REMOVED: linesRemoved,
+    LINES_CHANGED: linesAdded + linesRemoved,
+    RECENT_COMMITS: getRecentCommitSubjects(RECENT_COMMIT_COUNT),
+    STYLE_GUIDE: styleGuide,
+    AUTHOR: author.name,
+    AUTHOR_EMAIL: author.email,
+    TICKET: ticket !== undefined ? ticket : findTicket(branch, originalMessage),
+    REPO_NAME: repoRoot ? path.basename(repoRoot) : ''
+  };
+}
+
+/**
+ * Build a placeholder context for checking templates without staged changes
+ * Lists hold one sample entry so loop bodies can be checked too
+ * @returns {Object} Template context with every variable set
+ */
+function sampleTemplateContext() {
+  const context = {};
+  for (const name of Object.keys(TEMPLATE_VARIABLES)) {
+    context[name] = '';
+  }
+  context.FILES = [{
+    path: '', oldPath: '', status: 'M', similarity: 0, added: 0, removed: 0, kind: 'code', media: false, binary: false
+  }];
+  context.RECENT_COMMITS = [''];
+  return context;
+}
+
+module.exports = {
+  buildTemplateContext,
+  sampleTemplateContext,
+  TEMPLATE_VARIABLES,
+  TEMPLATE_PRESETS,
+  RECENT_COMMIT_COUNT
+};
@@ -0,0 +1,119 @@
+const { providerError } = require('./errors');
+
+/**
+ * Defaults for the Anthropic Messages API provider
+ */
+const DEFAULTS = {
+  model: 'claude-sonnet-4-5',
+  baseUrl: 'https://api.anthropic.com',
+  requiresApiKey: true,
+  label: 'Anthropic'
+};
+
+/**
+ * API version header required by the Messages API
+ */
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Maximum tokens the model may produce for a commit message
+ */
+const MAX_TOKENS = 1024;
+
+/**
+ * Create a provider for the Anthropic Messages API (or a compatible stand-in server)
+ * @param {Object} options - Provider options
+ * @param {string} options.model - Model name to request
+ * @param {string} [options.apiKey] - API key, sent as x-api-key
+ * @param {string} [options.baseUrl] - Base URL of the API (without /v1)
+ * @param {Object} [options.headers] - Extra HTTP headers sent with every request
+ * @param {string} [options.label] - Human readable name used in error messages
+ * @param {Function} [options.onUsage] - Called with {promptTokens, completionTokens} when the API reports usage
+ * @returns {{name: string, model: string, complete: Function}} Provider instance
+ */
+function createAnthropicProvider(options) {
+  const label = options.label || DEFAULTS.label;
+  const baseUrl = (options.baseUrl || DEFAULTS.baseUrl).replace(/\/+$/, '');
+
+  /**
+   * Send a single-turn prompt and return the model's reply
+   * @param {{system: string, prompt: string, signal: AbortSignal}} request - System and user prompt,
+   *   and an optional signal to abort the request
+   * @returns {Promise<string>} Raw text returned by the model
+   */
+  async function complete({ system, prompt, signal }) {
+    const headers = {
+      'content-type': 'application/json',
+      'anthropic-version': ANTHROPIC_VERSION,
+      ...(options.headers || {})
+    };
+    if (options.apiKey) {
+      headers['x-api-key'] = options.apiKey;
+    }
+
+    let response;
+    let body;
+    try {
+      response = await fetch(`${baseUrl}/v1/messages`, {
+        method: 'POST',
+        headers,
+        signal,
+        body: JSON.stringify({
+          model: options.model,
+          max_tokens: MAX_TOKENS,
+          system,
+          messages: [
+            { role: 'user', content: prompt }
+          ]
+        })
+      });
+      body = await response.json().catch(() => null);
+    } catch (error) {
+      throw providerError(`${label} API error: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const errorType = body?.error?.type;
+      if (errorType === 'authentication_error') {
+        throw providerError(`Invalid ${label} API key. Please check your configuration.`, { retryable: false });
+      }
+      if (errorType === 'billing_error') {
+        throw providerError(`${label} API quota exceeded. Please check your billing.`, { retryable: false });
+      }
+      const detail = body?.error?.message || `HTTP ${response.status}`;
+      throw providerError(`${label} API error: ${detail}`, {
+        // Client errors other than rate limiting will fail the same way again
+        retryable: response.status === 429 || response.status >= 500
+      });
+    }
+
+    if (body?.usage && options.onUsage) {
+      options.onUsage({
+        promptTokens: body.usage.input_tokens || 0,
+        completionTokens: body.usage.output_tokens || 0
+      });
+    }
+
+    const message = (body?.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    if (!message) {
+      throw providerError(`${label} API error: No response received from ${options.model}`);
+    }
+
+    return message;
+  }
+
+  return {
+    name: label,
+    model: options.model,
+    complete
+  };
+}
+
+module.exports = {
+  createAnthropicProvider,
+  DEFAULTS
+};
@@ -0,0 +1,18 @@
+/**
+ * Create an error for a failed provider request
+ * @param {string} message - Error message
+ * @param {Object} [options] - Error details
+ * @param {boolean} [options.retryable=true] - Whether retrying the request may succeed
+ *   (false for bad keys or exhausted quota)
+ * @returns {Error} Error with code PROVIDER_ERROR
+ */
+function providerError(message, { retryable = true } = {}) {
+  const error = new Error(message);
+  error.code = 'PROVIDER_ERROR';
+  error.retryable = retryable;
+  return error;
+}
+
+module.exports = {
+  providerError
+};
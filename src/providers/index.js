@@ -0,0 +1,100 @@
+const openai = require('./openai');
+const anthropic = require('./anthropic');
+const { retry, DEFAULT_FAILURE_CONFIG } = require('../retry');
+
+/**
+ * Registered providers: factory plus the defaults applied when the
+ * config does not specify a model or base URL
+ */
+const PROVIDERS = {
+  openai: {
+    create: openai.createOpenAIProvider,
+    defaults: openai.DEFAULTS
+  },
+  'openai-compatible': {
+    create: openai.createOpenAIProvider,
+    defaults: { ...openai.DEFAULTS, requiresApiKey: false, label: 'OpenAI-compatible' }
+  },
+  ollama: {
+    create: openai.createOpenAIProvider,
+    defaults: openai.OLLAMA_DEFAULTS
+  },
+  anthropic: {
+    create: anthropic.createAnthropicProvider,
+    defaults: anthropic.DEFAULTS
+  }
+};
+
+/**
+ * Look up a provider definition by name
+ * @param {string} name - Provider name from config
+ * @returns {{create: Function, defaults: Object}} Provider definition
+ */
+function getProviderDefinition(name) {
+  const definition = PROVIDERS[name];
+  if (!definition) {
+    throw new Error(
+      `Unknown provider "${name}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+  return definition;
+}
+
+/**
+ * Resolve the effective provider settings (config values over provider defaults)
+ * @param {Object} config - Loaded configuration
+ * @returns {{provider: string, model: string, baseUrl: string|null, headers: Object, apiKey: string|undefined, requiresApiKey: boolean, label: string}}
+ */
+function resolveProviderSettings(config) {
+  const provider = config.provider || 'openai';
+  const { defaults } = getProviderDefinition(provider);
+
+  return {
+    provider,
+    model: config.model || defaults.model,
+    baseUrl: config.baseUrl || defaults.baseUrl,
+    headers: config.headers || {},
+    apiKey: config.apiKey,
+    // A custom base URL usually points at a gateway or local server that may not need a key
+    requiresApiKey: defaults.requiresApiKey && !config.baseUrl,
+    label: defaults.label
+  };
+}
+
+/**
+ * Create the provider instance described by the configuration
+ * Requests time out and are retried with exponential backoff according to config.failure
+ * Token usage reported by the API is added up in the instance's usage object
+ * @param {Object} config - Loaded configuration
+ * @returns {{name: string, model: string, complete: Function, usage: Object}} Provider instance
+ */
+function createProvider(config) {
+  const settings = resolveProviderSettings(config);
+  const { create } = getProviderDefinition(settings.provider);
+  const usage = { requests: 0, promptTokens: 0, completionTokens: 0 };
+  const provider = create({
+    ...settings,
+    onUsage: ({ promptTokens, completionTokens }) => {
+      usage.requests++;
+      usage.promptTokens += promptTokens;
+      usage.completionTokens += completionTokens;
+    }
+  });
+  const failure = { ...DEFAULT_FAILURE_CONFIG, ...config.failure };
+
+  return {
+    ...provider,
+    usage,
+    complete: (request) => retry(
+      signal => provider.complete({ ...request, signal }),
+      failure
+    )
+  };
+}
+
+module.exports = {
+  createProvider,
+  resolveProviderSettings,
+  getProviderDefinition,
+  PROVIDERS
+};
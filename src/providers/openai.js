@@ -0,0 +1,105 @@
+const OpenAI = require('openai');
+const { providerError } = require('./errors');
+
+/**
+ * Defaults for the OpenAI provider
+ */
+const DEFAULTS = {
+  model: 'gpt-5.1',
+  baseUrl: null,
+  requiresApiKey: true,
+  label: 'OpenAI'
+};
+
+/**
+ * Defaults for a local Ollama server (speaks the OpenAI-compatible API)
+ */
+const OLLAMA_DEFAULTS = {
+  model: 'llama3.1',
+  baseUrl: 'http://localhost:11434/v1',
+  requiresApiKey: false,
+  label: 'Ollama'
+};
+
+/**
+ * Create a provider for OpenAI or any OpenAI-compatible chat completions API
+ * (Azure/OpenAI gateways, Ollama, llama.cpp server, vLLM, ...)
+ * @param {Object} options - Provider options
+ * @param {string} options.model - Model name to request
+ * @param {string} [options.apiKey] - API key (optional for local servers)
+ * @param {string} [options.baseUrl] - Base URL of the API, e.g. http://localhost:8080/v1
+ * @param {Object} [options.headers] - Extra HTTP headers sent with every request
+ * @param {string} [options.label] - Human readable name used in error messages
+ * @param {Function} [options.onUsage] - Called with {promptTokens, completionTokens} when the API reports usage
+ * @returns {{name: string, model: string, complete: Function}} Provider instance
+ */
+function createOpenAIProvider(options) {
+  const label = options.label || DEFAULTS.label;
+
+  const client = new OpenAI({
+    // The SDK refuses to start without a key; local servers usually ignore it
+    apiKey: options.apiKey || 'not-needed',
+    baseURL: options.baseUrl || undefined,
+    defaultHeaders: options.headers || undefined,
+    // Retries and timeouts are handled by nullcommits' own failure policy
+    maxRetries: 0
+  });
+
+  /**
+   * Send a single-turn prompt and return the model's reply
+   * @param {{system: string, prompt: string, signal: AbortSignal}} request - System and user prompt,
+   *   and an optional signal to abort the request
+   * @returns {Promise<string>} Raw text returned by the model
+   */
+  async function complete({ system, prompt, signal }) {
+    let completion;
+    try {
+      completion = await client.chat.completions.create({
+        model: options.model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt }
+        ]
+      }, { signal });
+    } catch (error) {
+      if (error.code === 'invalid_api_key') {
+        throw providerError(`Invalid ${label} API key. Please check your configuration.`, { retryable: false });
+      }
+      if (error.code === 'insufficient_quota') {
+        throw providerError(`${label} API quota exceeded. Please check your billing.`, { retryable: false });
+      }
+      throw providerError(`${label} API error: ${error.message}`, {
+        // Client errors other than rate limiting will fail the same way again
+        retryable: !error.status || error.status === 429 || error.status >= 500
+      });
+    }
+
+    // Local servers do not always report usage
+    if (completion.usage && options.onUsage) {
+      options.onUsage({
+        promptTokens: completion.usage.prompt_tokens || 0,
+        completionTokens: completion.usage.completion_tokens || 0
+      });
+    }
+
+    const message = completion.choices[0]?.message?.content;
+
+    if (!message) {
+      throw providerError(`${label} API error: No response received from ${options.model}`);
+    }
+
+    return message;
+  }
+
+  return {
+    name: label,
+    model: options.model,
+    complete
+  };
+}
+
+module.exports = {
+  createOpenAIProvider,
+  DEFAULTS,
+  OLLAMA_DEFAULTS
+};
@@ -0,0 +1,184 @@
+/**
+ * Default redaction settings
+ */
+const DEFAULT_REDACT_CONFIG = {
+  enabled: true,
+  patterns: [],            // extra regular expressions (strings) to redact
+  excludePaths: ['.env', '.env.*', '*.pem', '*.key', '*.p12', '*.pfx', 'id_rsa', 'id_dsa', 'id_ecdsa', 'id_ed25519'],
+  entropyThreshold: 4.5,   // bits per character for the high-entropy detector, 0 disables it
+  abortOnSecrets: false    // abort the commit instead of redacting
+};
+
+/**
+ * Built-in secret detectors
+ * A detector either replaces the whole match or, with a "secretGroup", only that capture group
+ */
+const DETECTORS = [
+  {
+    name: 'private key',
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY( BLOCK)?-----[\s\S]*?(-----END [A-Z ]*PRIVATE KEY( BLOCK)?-----|$)/g
+  },
+  {
+    name: 'AWS access key',
+    pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA)[0-9A-Z]{16}\b/g
+  },
+  {
+    name: 'AWS secret key',
+    pattern: /(aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?)([A-Za-z0-9/+=]{40})/gi,
+    secretGroup: 2
+  },
+  {
+    name: 'API key',
+    pattern: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g
+  },
+  {
+    name: 'GitHub token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})\b/g
+  },
+  {
+    name: 'Slack token',
+    pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g
+  },
+  {
+    name: 'JWT',
+    pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g
+  },
+  {
+    name: 'password in URL',
+    pattern: /(\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:)([^\s@/]+)(@)/gi,
+    secretGroup: 2
+  },
+  {
+    name: 'password assignment',
+    pattern: /((?:password|passwd|pwd|secret|api_?key|access_?token|auth_?token|client_?secret)["']?\s*[:=]\s*["'])([^"'\s]{6,})(["'])/gi,
+    secretGroup: 2
+  }
+];
+
+/**
+ * Candidate tokens for the high-entropy detector
+ */
+const TOKEN_PATTERN = /[A-Za-z0-9+/=_-]{24,}/g;
+
+/**
+ * Calculate the Shannon entropy of a string
+ * @param {string} text - Text to measure
+ * @returns {number} Entropy in bits per character
+ */
+function shannonEntropy(text) {
+  const counts = new Map();
+  for (const char of text) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Check whether a token looks like a random secret rather than an identifier or path
+ * @param {string} token - Candidate token
+ * @param {number} threshold - Entropy threshold in bits per character
+ * @returns {boolean} True if the token looks like a secret
+ */
+function isHighEntropy(token, threshold) {
+  // Secrets mix letters and digits; long identifiers and paths usually don't
+  if (!/[0-9]/.test(token) || !/[a-z]/.test(token) || !/[A-Z]/.test(token)) {
+    return false;
+  }
+  return shannonEntropy(token) >= threshold;
+}
+
+/**
+ * Build the list of detectors from the built-ins and user-defined patterns
+ * @param {Object} settings - Redaction settings
+ * @returns {Object[]} Detectors
+ */
+function buildDetectors(settings) {
+  const custom = (settings.patterns || []).map(source => {
+    try {
+      return { name: 'custom pattern', pattern: new RegExp(source, 'g') };
+    } catch (error) {
+      throw new Error(`Invalid redact pattern "${source}": ${error.message}`);
+    }
+  });
+  return [...DETECTORS, ...custom];
+}
+
+/**
+ * Create a redactor that scrubs secrets from file diffs and records what it found
+ * @param {Object} settings - Redaction settings
+ * @returns {{redact: Function, findings: Object[]}} Redact function (diff, file) => diff
+ *   and the list of findings ({detector, file}) collected so far
+ */
+function createRedactor(settings) {
+  const detectors = buildDetectors(settings);
+  const findings = [];
+
+  /**
+   * Redact secrets from a single file's diff
+   * @param {string} diff - Diff text
+   * @param {string} file - File the diff belongs to
+   * @returns {string} Diff with secrets replaced by [REDACTED:<detector>]
+   */
+  function redact(diff, file) {
+    let result = diff;
+
+    for (const detector of detectors) {
+      result = result.replace(detector.pattern, (...args) => {
+        findings.push({ detector: detector.name, file });
+        const marker = `[REDACTED:${detector.name}]`;
+        if (!detector.secretGroup) {
+          return marker;
+        }
+        const groups = args.slice(1, args.findIndex(arg => typeof arg === 'number'));
+        return groups.map((group, index) => (index + 1 === detector.secretGroup ? marker : group || '')).join('');
+      });
+    }
+
+    if (settings.entropyThreshold) {
+      // Only look at changed lines: headers contain hashes that are random by design
+      result = result.split('\n').map(line => {
+        if (!/^[+-]/.test(line) || /^(\+\+\+|---) /.test(line)) {
+          return line;
+        }
+        return line.replace(TOKEN_PATTERN, token => {
+          if (token.includes('[REDACTED') || !isHighEntropy(token, settings.entropyThreshold)) {
+            return token;
+          }
+          findings.push({ detector: 'high-entropy string', file });
+          return '[REDACTED:high-entropy string]';
+        });
+      }).join('\n');
+    }
+
+    return result;
+  }
+
+  return { redact, findings };
+}
+
+/**
+ * Summarise findings for display, e.g. "2 × API key (src/app.js)"
+ * @param {Object[]} findings - Findings from createRedactor
+ * @returns {string[]} One line per detector and file
+ */
+function summarizeFindings(findings) {
+  const counts = new Map();
+  for (const { detector, file } of findings) {
+    const key = `${detector} (${file})`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts].map(([key, count]) => `${count} × ${key}`);
+}
+
+module.exports = {
+  createRedactor,
+  summarizeFindings,
+  shannonEntropy,
+  DETECTORS,
+  DEFAULT_REDACT_CONFIG
+};
@@ -0,0 +1,83 @@
+/**
+ * Default retry settings for model requests
+ */
+const DEFAULT_FAILURE_CONFIG = {
+  policy: 'keep',  // keep (commit with the original message) or block (abort the commit)
+  retries: 2,      // extra attempts after the first failure
+  backoff: 1000,   // delay before the first retry in ms, doubled for every further retry
+  timeout: 30000   // per-request timeout in ms (0 disables)
+};
+
+/**
+ * Supported values for failure.policy
+ */
+const FAILURE_POLICIES = ['keep', 'block'];
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run a single attempt, aborting it when the timeout expires
+ * @param {Function} fn - Receives an AbortSignal and returns a promise
+ * @param {number} timeout - Timeout in ms (0 disables)
+ * @returns {Promise<*>} Result of fn
+ */
+async function withTimeout(fn, timeout) {
+  if (!timeout) {
+    return fn(undefined);
+  }
+
+  const controller = new AbortController();
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      const error = new Error(`Request timed out after ${timeout / 1000}s`);
+      error.code = 'ETIMEDOUT';
+      error.retryable = true;
+      reject(error);
+    }, timeout);
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), timedOut]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Call fn with a per-attempt timeout, retrying retryable failures with exponential backoff
+ * @param {Function} fn - Receives an AbortSignal and returns a promise
+ * @param {Object} settings - Retry settings
+ * @param {number} settings.retries - Extra attempts after the first failure
+ * @param {number} settings.backoff - Delay before the first retry in ms
+ * @param {number} settings.timeout - Per-attempt timeout in ms (0 disables)
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+async function retry(fn, { retries, backoff, timeout }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await withTimeout(fn, timeout);
+    } catch (error) {
+      if (attempt >= retries || error.retryable === false) {
+        throw error;
+      }
+      const delay = backoff * 2 ** attempt;
+      console.error(`⚠️  ${error.message} - retrying in ${delay / 1000}s (${attempt + 1}/${retries})`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  retry,
+  DEFAULT_FAILURE_CONFIG,
+  FAILURE_POLICIES
+};
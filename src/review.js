@@ -0,0 +1,185 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { spawnSync } = require('child_process');
+const { getEditor } = require('./git');
+
+/**
+ * Check whether an interactive review is possible
+ * Git sends hook stdout to stderr, so the prompt is drawn on stderr
+ * @returns {boolean} True if both stdin and stderr are attached to a terminal
+ */
+function canReview() {
+  return Boolean(process.stdin.isTTY && process.stderr.isTTY);
+}
+
+/**
+ * Create a question helper bound to the terminal
+ * @returns {{ask: Function, close: Function}} Helper to ask questions and release the terminal
+ */
+function createPrompt() {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stderr
+  });
+  // Iterating buffers lines, so typed-ahead or piped answers are not lost
+  const lines = rl[Symbol.asyncIterator]();
+
+  return {
+    ask: async (question) => {
+      process.stderr.write(question);
+      const { value, done } = await lines.next();
+      return done ? '' : value.trim();
+    },
+    close: () => rl.close()
+  };
+}
+
+/**
+ * Print a titled block of text to stderr
+ * @param {string} title - Block heading
+ * @param {string} text - Block content
+ */
+function printBlock(title, text) {
+  console.error('');
+  console.error(`─── ${title} ───`);
+  console.error(text || '(empty)');
+}
+
+/**
+ * Open a message in the developer's editor
+ * Lines starting with "#" are removed, like git does for commit messages
+ * @param {string} message - Message to edit
+ * @returns {string} The edited message
+ */
+function editMessage(message) {
+  const tmpFile = path.join(os.tmpdir(), `nullcommits-${process.pid}-${Date.now()}.txt`);
+  fs.writeFileSync(tmpFile, message + '\n\n# Edit the commit message. Lines starting with "#" are ignored.\n', 'utf-8');
+
+  try {
+    const result = spawnSync(`${getEditor()} "${tmpFile}"`, {
+      shell: true,
+      stdio: 'inherit'
+    });
+    if (result.status !== 0) {
+      console.error('⚠️  Editor exited with an error. Keeping the previous message.');
+      return message;
+    }
+
+    return fs.readFileSync(tmpFile, 'utf-8')
+      .split('\n')
+      .filter(line => !line.startsWith('#'))
+      .join('\n')
+      .trim();
+  } finally {
+    fs.rmSync(tmpFile, { force: true });
+  }
+}
+
+/**
+ * Let the developer pick one of several freshly generated messages
+ * @param {Function} ask - Question helper from createPrompt
+ * @param {Function} regenerate - Generates a new message
+ * @param {number} count - Number of alternatives to generate
+ * @returns {Promise<string|null>} The chosen message, or null if none was chosen
+ */
+async function pickAlternative(ask, regenerate, count) {
+  console.error(`\n⏳ Generating ${count} alternatives...`);
+  const alternatives = await Promise.all(
+    Array.from({ length: count }, () => regenerate())
+  );
+
+  alternatives.forEach((alternative, index) => {
+    printBlock(`Alternative ${index + 1}`, alternative);
+  });
+  console.error('');
+
+  const answer = await ask(`Pick an alternative [1-${count}] (Enter to go back): `);
+  const choice = parseInt(answer, 10);
+  if (choice >= 1 && choice <= count) {
+    return alternatives[choice - 1];
+  }
+  return null;
+}
+
+/**
+ * Interactively review a generated commit message
+ * @param {Object} options - Review options
+ * @param {string} options.originalMessage - The developer's original message
+ * @param {string} options.message - The generated message
+ * @param {Function} options.regenerate - Generates a new message, accepts an optional hint
+ * @param {number} [options.alternatives=3] - Number of alternatives to offer
+ * @returns {Promise<string>} The message to commit with
+ */
+async function reviewMessage({ originalMessage, message, regenerate, alternatives = 3 }) {
+  const { ask, close } = createPrompt();
+  try {
+    return await reviewLoop(ask, { originalMessage, message, regenerate, alternatives });
+  } finally {
+    close();
+  }
+}
+
+/**
+ * Show the message and handle menu choices until one is final
+ * @param {Function} ask - Question helper from createPrompt
+ * @param {Object} options - Same options as reviewMessage
+ * @returns {Promise<string>} The message to commit with
+ */
+async function reviewLoop(ask, { originalMessage, message, regenerate, alternatives }) {
+  let current = message;
+
+  for (;;) {
+    printBlock('Original message', originalMessage);
+    printBlock('Generated message', current);
+    console.error('');
+
+    const answer = (await ask(
+      `[a]ccept, [e]dit, [r]egenerate, [p]ick from ${alternatives} alternatives, keep [o]riginal? `
+    )).toLowerCase();
+
+    switch (answer) {
+      case '':
+      case 'a':
+        return current;
+      case 'e':
+        current = editMessage(current) || current;
+        break;
+      case 'r': {
+        const hint = await ask('Hint for the model (optional): ');
+        console.error('⏳ Regenerating...');
+        current = await regenerate(hint);
+        break;
+      }
+      case 'p':
+        current = (await pickAlternative(ask, regenerate, alternatives)) || current;
+        break;
+      case 'o':
+        return originalMessage;
+      default:
+        console.error(`Unknown choice "${answer}".`);
+    }
+  }
+}
+
+/**
+ * Ask a yes/no question in the terminal
+ * @param {string} question - Question, without the [y/N] suffix
+ * @returns {Promise<boolean>} True when the answer is yes (no is the default)
+ */
+async function confirm(question) {
+  const { ask, close } = createPrompt();
+  try {
+    return ['y', 'yes'].includes((await ask(`${question} [y/N] `)).toLowerCase());
+  } finally {
+    close();
+  }
+}
+
+module.exports = {
+  reviewMessage,
+  confirm,
+  canReview,
+  editMessage
+};
@@ -0,0 +1,144 @@
+const conventional = require('./conventional');
+const { matchesAny } = require('./glob');
+const { getCurrentBranch, getAuthor } = require('./git');
+
+/**
+ * Default rules for commits the hook leaves alone
+ */
+const DEFAULT_SKIP_CONFIG = {
+  messages: ['^Merge ', '^Revert ', '^Human:', '^fixup!', '^squash!', '^amend!'], // regular expressions
+  branches: [],                      // globs, e.g. release/*
+  authors: [],                       // regular expressions matched against "Name <email>"
+  markers: ['[no-ai]', '--no-ai'],   // removed from the message when found
+  env: ['NULLCOMMITS_SKIP'],         // environment variables that skip when set
+  quality: 'off'                     // off, conventional or conventional-body
+};
+
+/**
+ * Supported values for skip.quality
+ */
+const QUALITY_LEVELS = ['off', 'conventional', 'conventional-body'];
+
+/**
+ * Check whether an environment variable is switched on
+ * @param {string} value - Variable value
+ * @returns {boolean} True unless unset, empty, 0, false or no
+ */
+function isEnvSet(value) {
+  return value !== undefined && !['', '0', 'false', 'no'].includes(value.toLowerCase());
+}
+
+/**
+ * Find the skip markers a message contains
+ * @param {string} message - Commit message
+ * @param {string[]} markers - Marker strings (matched case-insensitively)
+ * @returns {string[]} Markers found in the message
+ */
+function findMarkers(message, markers) {
+  const lower = message.toLowerCase();
+  return markers.filter(marker => marker && lower.includes(marker.toLowerCase()));
+}
+
+/**
+ * Remove skip markers from a message, so they don't end up in the history
+ * Lines left empty by a removed marker (e.g. a "--no-ai" line) are dropped
+ * @param {string} message - Commit message file contents
+ * @param {string[]} markers - Marker strings
+ * @returns {string} Message without the markers
+ */
+function removeMarkers(message, markers) {
+  const lines = message.split('\n').map(line => {
+    let cleaned = line;
+    for (const marker of markers) {
+      const escaped = marker.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      cleaned = cleaned.replace(new RegExp(`[ \\t]*${escaped}`, 'gi'), '');
+    }
+    return cleaned === line ? line : (cleaned.trim() ? cleaned.replace(/^[ \t]+/, '') : null);
+  });
+  return lines.filter(line => line !== null).join('\n').replace(/^\n+/, '').replace(/\n\s*$/, '\n');
+}
+
+/**
+ * Check whether a message is already good enough to keep
+ * @param {string} message - Commit message
+ * @param {string} level - Quality level (see QUALITY_LEVELS)
+ * @param {Object} settings - Conventional mode settings
+ * @returns {boolean}
+ */
+function meetsQuality(message, level, settings) {
+  if (level === 'off' || !message) {
+    return false;
+  }
+  if (conventional.validate(message, settings).length > 0) {
+    return false;
+  }
+  return level === 'conventional' || conventional.parseMessage(message).body !== '';
+}
+
+/**
+ * Work out whether the hook should leave a commit alone, and why
+ * Rules are checked from the cheapest to the most specific:
+ * environment, markers, author, branch, message patterns, quality
+ * @param {Object} commit - Commit being prepared
+ * @param {string} commit.message - Original message, without comment lines
+ * @param {string} commit.source - Commit source (see planCommitSource)
+ * @param {Object} config - Loaded configuration
+ * @returns {{reason: string, markers: string[]}|null} Why the commit is skipped and the markers
+ *   to remove from its message, or null to enhance it
+ */
+function findSkipReason({ message, source }, config) {
+  const settings = config.skip;
+
+  const envName = settings.env.find(name => isEnvSet(process.env[name]));
+  if (envName) {
+    return { reason: `${envName} is set`, markers: [] };
+  }
+
+  const markers = findMarkers(message, settings.markers);
+  if (markers.length > 0) {
+    return { reason: `message contains ${markers.map(marker => `"${marker}"`).join(', ')}`, markers };
+  }
+
+  if (settings.authors.length > 0) {
+    const { name, email } = getAuthor();
+    const author = `${name} <${email}>`;
+    const pattern = settings.authors.find(expression => new RegExp(expression).test(author));
+    if (pattern) {
+      return { reason: `author "${author}" matches /${pattern}/`, markers: [] };
+    }
+  }
+
+  if (settings.branches.length > 0) {
+    const branch = getCurrentBranch();
+    const pattern = branch && settings.branches.find(glob => matchesAny(branch, [glob]));
+    if (pattern) {
+      return { reason: `branch "${branch}" matches ${pattern}`, markers: [] };
+    }
+  }
+
+  // Merges are governed by sources.merge, so "Merge ..." patterns don't apply to them
+  if (source !== 'merge') {
+    const pattern = settings.messages.find(expression => new RegExp(expression).test(message));
+    if (pattern) {
+      return { reason: `message matches /${pattern}/`, markers: [] };
+    }
+  }
+
+  if (meetsQuality(message, settings.quality, config.conventional)) {
+    return {
+      reason: settings.quality === 'conventional'
+        ? 'message is already a valid Conventional Commit'
+        : 'message is already a valid Conventional Commit with a body',
+      markers: []
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  findSkipReason,
+  removeMarkers,
+  DEFAULT_SKIP_CONFIG,
+  QUALITY_LEVELS
+};
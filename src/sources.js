@@ -0,0 +1,130 @@
+const { getAmendBase, isAmendingHead, getMergedCommitSubjects } = require('./git');
+
+/**
+ * Default handling of each commit source git passes to the prepare-commit-msg hook
+ */
+const DEFAULT_SOURCES_CONFIG = {
+  message: 'enhance', // -m/-F, or no source when the editor opens
+  template: 'fill',   // -t or commit.template
+  commit: 'refine',   // --amend, -c or -C
+  merge: 'skip',      // merge commits
+  squash: 'skip'      // git merge --squash
+};
+
+/**
+ * Supported actions for each commit source
+ */
+const SOURCE_ACTIONS = {
+  message: ['enhance', 'skip'],
+  template: ['fill', 'enhance', 'skip'],
+  commit: ['refine', 'regenerate', 'skip'],
+  merge: ['summarize', 'skip'],
+  squash: ['enhance', 'skip']
+};
+
+/**
+ * Merged commit subjects listed when summarising a merge
+ */
+const MAX_MERGED_SUBJECTS = 50;
+
+/**
+ * Work out how the hook handles a commit, from the source and object git passed it
+ * @param {Object} commit - What git passed to the hook
+ * @param {string} [commit.source] - Commit source: message, template, commit, merge, squash, or empty
+ * @param {string} [commit.object] - Commit the message comes from (commit source only)
+ * @param {string} commit.message - Original message, without comments or trailers (see parseMessageFile)
+ * @param {Object} settings - sources settings
+ * @returns {{source: string, action: string, originalMessage: string, base: string|undefined, instruction: string, conventional: boolean, subject: string}|null}
+ *   The plan: the message to start from, the commit to diff the index with, extra prompt
+ *   instructions, whether conventional mode applies and a subject line to keep;
+ *   null when the commit is left alone
+ */
+function planCommitSource({ source, object, message }, settings) {
+  source = source || 'message';
+  const action = settings[source];
+  if (!action || action === 'skip') {
+    return null;
+  }
+
+  const plan = {
+    source,
+    action,
+    originalMessage: message.trim(),
+    base: undefined,
+    instruction: '',
+    conventional: true,
+    subject: ''
+  };
+
+  switch (source) {
+    case 'message':
+      // "git commit --amend -m" passes no commit, but the amended commit still replaces HEAD
+      if (isAmendingHead()) {
+        plan.base = getAmendBase();
+      }
+      break;
+
+    case 'template':
+      if (action === 'fill') {
+        plan.instruction = 'The original commit message is the repository\'s commit message template. ' +
+          'Fill it in from the diff: keep its headings, order and structure, and replace placeholder text.';
+      }
+      break;
+
+    case 'commit':
+      // --amend passes HEAD; the amended commit replaces HEAD, so its changes are relative to HEAD's parent
+      if (object === 'HEAD') {
+        plan.base = getAmendBase();
+      }
+      plan.instruction = action === 'refine'
+        ? 'The original commit message belongs to a commit being amended. Refine it to describe the full diff: ' +
+          'keep what is still accurate and add what is missing.'
+        : 'The original commit message belongs to a commit being amended and may be out of date. ' +
+          'Write a new message from the diff.';
+      break;
+
+    case 'merge': {
+      plan.subject = plan.originalMessage.split('\n')[0];
+      plan.conventional = false;
+      const subjects = getMergedCommitSubjects(MAX_MERGED_SUBJECTS);
+      plan.instruction = 'This is a merge commit. Write a body summarising what the merge brings in.' +
+        (subjects.length > 0
+          ? `\nCommits being merged:\n${subjects.map(subject => `- ${subject}`).join('\n')}`
+          : '');
+      break;
+    }
+
+    case 'squash':
+      plan.instruction = 'The original commit message lists the commits being squashed. ' +
+        'Write one message that summarises them.';
+      break;
+
+    default:
+      break;
+  }
+
+  return plan;
+}
+
+/**
+ * Put a subject line that must not change (e.g. git's "Merge branch ..." line) back on a message
+ * @param {string} message - Generated message
+ * @param {string} subject - Subject line to keep
+ * @returns {string} Message starting with the subject
+ */
+function keepSubject(message, subject) {
+  if (!subject) {
+    return message;
+  }
+  const lines = message.split('\n');
+  // The model usually repeats or rephrases the merge line; the rest is the body
+  const body = /^merge\b/i.test(lines[0]) ? lines.slice(1).join('\n').trim() : message.trim();
+  return body ? `${subject}\n\n${body}` : subject;
+}
+
+module.exports = {
+  planCommitSource,
+  keepSubject,
+  DEFAULT_SOURCES_CONFIG,
+  SOURCE_ACTIONS
+};
@@ -0,0 +1,329 @@
+const fs = require('fs');
+const { getCommitMessages, getGitPath } = require('./git');
+const { parseMessage, DEFAULT_TYPES } = require('./conventional');
+const { findTicket } = require('./ticket');
+
+/**
+ * Default settings for learning the commit style of the repository
+ */
+const DEFAULT_STYLE_CONFIG = {
+  enabled: false,
+  sample: 100,   // recent commits analysed
+  examples: 3,   // example messages shown to the model
+  paths: [],     // only learn from commits touching these paths
+  authors: [],   // only learn from these authors (git log --author patterns)
+  maxAge: 24     // hours before the learned style is refreshed
+};
+
+/**
+ * Cache file, relative to the git directory
+ */
+const STYLE_CACHE_FILE = 'nullcommits-style.json';
+
+/**
+ * Bumped when the profile format changes, so older caches are recomputed
+ */
+const STYLE_CACHE_VERSION = 1;
+
+/**
+ * Share of the sampled commits a convention needs before it is described as the norm
+ */
+const MIN_SHARE = 0.5;
+
+/**
+ * Lines of an example message shown before it is cut off
+ */
+const MAX_EXAMPLE_LINES = 12;
+
+/**
+ * Subject prefix conventions, checked in order; each has a pattern and an example for the guide
+ */
+const PREFIX_STYLES = [
+  {
+    name: 'conventional',
+    label: 'Conventional Commits type and optional scope',
+    pattern: /^([a-z]+)(?:\([^()]+\))?!?: /,
+    test: match => DEFAULT_TYPES.includes(match[1]),
+    example: 'feat(parser): '
+  },
+  { name: 'emoji', label: 'an emoji', pattern: /^(?:\p{Extended_Pictographic}️?|:[a-z0-9_+-]+:)\s*/u, example: '✨ ' },
+  { name: 'bracket', label: 'a tag in brackets', pattern: /^\[[^\]]+\]\s*/, example: '[api] ' },
+  { name: 'component', label: 'the component or area it changes', pattern: /^[\w./-]+: /, example: 'parser: ' }
+];
+
+/**
+ * Find the prefix convention of a subject line
+ * @param {string} subject - Commit subject
+ * @returns {{name: string, description: string}} Prefix style ("none" without a prefix) and the rest of the subject
+ */
+function splitPrefix(subject) {
+  for (const style of PREFIX_STYLES) {
+    const match = subject.match(style.pattern);
+    if (match && (!style.test || style.test(match))) {
+      return { name: style.name, description: subject.slice(match[0].length) };
+    }
+  }
+  return { name: 'none', description: subject };
+}
+
+/**
+ * Guess the grammatical mood of a subject from its first word
+ * @param {string} description - Subject without its prefix
+ * @returns {string} imperative ("Add"), past ("Added") or present ("Adds")
+ */
+function detectMood(description) {
+  const word = (description.match(/^[A-Za-z]+/) || [''])[0].toLowerCase();
+  if (word.length > 3 && word.endsWith('ed')) {
+    return 'past';
+  }
+  if (word.length > 3 && /[^su]s$/.test(word)) {
+    return 'present';
+  }
+  return 'imperative';
+}
+
+/**
+ * Find the most common value and its share
+ * @param {string[]} values - Observed values
+ * @returns {{value: string, share: number}} Most common value, or an empty value when there are none
+ */
+function dominant(values) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  let best = { value: '', share: 0 };
+  for (const [value, count] of counts) {
+    if (count / values.length > best.share) {
+      best = { value, share: count / values.length };
+    }
+  }
+  return best;
+}
+
+/**
+ * Get the middle value of a list of numbers
+ * @param {number[]} numbers - Values
+ * @returns {number} Median (0 for an empty list)
+ */
+function median(numbers) {
+  if (numbers.length === 0) {
+    return 0;
+  }
+  const sorted = [...numbers].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Shorten a commit message for use as an example
+ * @param {string} message - Commit message
+ * @returns {string} The message, cut after MAX_EXAMPLE_LINES lines
+ */
+function trimExample(message) {
+  const lines = message.split('\n');
+  return lines.length > MAX_EXAMPLE_LINES
+    ? [...lines.slice(0, MAX_EXAMPLE_LINES), '...'].join('\n')
+    : message;
+}
+
+/**
+ * Work out the conventions of a set of commit messages
+ * @param {string[]} messages - Commit messages, newest first
+ * @param {number} exampleCount - Number of example messages to keep
+ * @returns {Object} Style profile: sample size, prefix style, mood, capitalisation,
+ *   trailing period, subject length, body and ticket shares, common trailers and examples
+ */
+function analyzeMessages(messages, exampleCount) {
+  const parsed = messages.map(message => {
+    const parts = parseMessage(message);
+    const prefix = splitPrefix(parts.header);
+    const ticket = findTicket('', message);
+    return {
+      message,
+      prefix: prefix.name,
+      mood: detectMood(prefix.description),
+      capitalized: /^[A-Z]/.test(prefix.description),
+      period: /\.$/.test(parts.header),
+      length: parts.header.length,
+      body: parts.body !== '',
+      ticket: ticket ? (parts.header.includes(ticket) ? 'subject' : 'body') : '',
+      trailers: [...new Set(parts.footers.map(line => (line.match(/^([A-Za-z][\w-]*):/) || [])[1]).filter(Boolean))]
+    };
+  });
+
+  const share = predicate => (parsed.length > 0 ? parsed.filter(predicate).length / parsed.length : 0);
+  const prefix = dominant(parsed.map(commit => commit.prefix));
+  const trailerCounts = new Map();
+  for (const token of parsed.flatMap(commit => commit.trailers)) {
+    trailerCounts.set(token, (trailerCounts.get(token) || 0) + 1);
+  }
+
+  // Examples follow the dominant prefix style, with and without a body in the usual proportion
+  const typical = parsed.filter(commit => commit.prefix === prefix.value);
+  const bodyShare = share(commit => commit.body);
+  const withBody = Math.round(exampleCount * bodyShare);
+  const examples = [
+    ...typical.filter(commit => commit.body).slice(0, withBody),
+    ...typical.filter(commit => !commit.body).slice(0, exampleCount - withBody)
+  ];
+  for (const commit of typical) {
+    if (examples.length >= exampleCount) {
+      break;
+    }
+    if (!examples.includes(commit)) {
+      examples.push(commit);
+    }
+  }
+
+  return {
+    sampled: parsed.length,
+    prefix,
+    mood: dominant(parsed.map(commit => commit.mood)),
+    capitalized: share(commit => commit.capitalized),
+    period: share(commit => commit.period),
+    subjectLength: median(parsed.map(commit => commit.length)),
+    body: bodyShare,
+    ticket: dominant(parsed.filter(commit => commit.ticket).map(commit => commit.ticket)),
+    tickets: share(commit => commit.ticket),
+    trailers: [...trailerCounts].filter(([, count]) => count / parsed.length >= MIN_SHARE).map(([token]) => token),
+    examples: examples.map(commit => trimExample(commit.message))
+  };
+}
+
+/**
+ * Format a share as a percentage
+ * @param {number} value - Share between 0 and 1
+ * @returns {string} e.g. "85%"
+ */
+function percent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+/**
+ * Describe a style profile as instructions and examples for the prompt
+ * @param {Object} profile - Style profile from analyzeMessages
+ * @returns {string} Style guide, or an empty string when there is no history to learn from
+ */
+function describeStyle(profile) {
+  if (profile.sampled === 0) {
+    return '';
+  }
+
+  const rules = [];
+  const prefixStyle = PREFIX_STYLES.find(style => style.name === profile.prefix.value);
+  if (prefixStyle && profile.prefix.share >= MIN_SHARE) {
+    rules.push(`Subjects start with ${prefixStyle.label}, e.g. "${prefixStyle.example}..." (${percent(profile.prefix.share)})`);
+  } else if (profile.prefix.value === 'none' && profile.prefix.share >= MIN_SHARE) {
+    rules.push('Subjects have no type, emoji or tag prefix');
+  }
+
+  const moods = {
+    imperative: 'imperative mood ("Add", not "Added" or "Adds")',
+    past: 'past tense ("Added", not "Add")',
+    present: 'present tense ("Adds", not "Add")'
+  };
+  if (profile.mood.share >= MIN_SHARE) {
+    rules.push(`Subjects use the ${moods[profile.mood.value]}`);
+  }
+
+  if (profile.capitalized >= 1 - MIN_SHARE / 2) {
+    rules.push('The subject text starts with a capital letter');
+  } else if (profile.capitalized <= MIN_SHARE / 2) {
+    rules.push('The subject text starts with a lowercase letter');
+  }
+  rules.push(profile.period >= MIN_SHARE ? 'Subjects end with a period' : 'Subjects do not end with a period');
+  rules.push(`Subjects are about ${profile.subjectLength} characters long`);
+
+  if (profile.body >= MIN_SHARE) {
+    rules.push(`Most commits have a body after a blank line (${percent(profile.body)})`);
+  } else if (profile.body > 0) {
+    rules.push(`Most commits are a single line; only ${percent(profile.body)} have a body`);
+  } else {
+    rules.push('Commits are a single line, with no body');
+  }
+
+  if (profile.tickets >= MIN_SHARE) {
+    rules.push(`Commits reference a ticket in the ${profile.ticket.value} (${percent(profile.tickets)})`);
+  }
+  if (profile.trailers.length > 0) {
+    rules.push(`Commits end with these trailers: ${profile.trailers.join(', ')}`);
+  }
+
+  const lines = [
+    `Match the style of this repository's commit history (${profile.sampled} recent commits):`,
+    ...rules.map(rule => `- ${rule}`)
+  ];
+  if (profile.examples.length > 0) {
+    lines.push('', 'Recent commit messages from this repository, for reference (do not copy their content):');
+    for (const example of profile.examples) {
+      lines.push('<example>', example, '</example>');
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Build the cache key of a style profile: it is recomputed when the settings change
+ * @param {Object} settings - style settings
+ * @returns {string} Cache key
+ */
+function cacheKey({ sample, examples, paths, authors }) {
+  return JSON.stringify({ version: STYLE_CACHE_VERSION, sample, examples, paths, authors });
+}
+
+/**
+ * Learn the commit style of the repository, using the cache in the .git directory while it is fresh
+ * @param {Object} settings - style settings
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.refresh=false] - Recompute even when the cache is fresh
+ * @returns {{profile: Object, cachePath: string, cached: boolean, createdAt: string}} The style profile,
+ *   where it is cached, whether it came from the cache and when it was computed
+ */
+function learnStyle(settings, { refresh = false } = {}) {
+  const cachePath = getGitPath(STYLE_CACHE_FILE);
+  const key = cacheKey(settings);
+
+  if (cachePath && !refresh && fs.existsSync(cachePath)) {
+    try {
+      const cache = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+      const age = Date.now() - new Date(cache.createdAt).getTime();
+      if (cache.key === key && age >= 0 && age < settings.maxAge * 60 * 60 * 1000) {
+        return { profile: cache.profile, cachePath, cached: true, createdAt: cache.createdAt };
+      }
+    } catch {
+      // A corrupt cache is simply recomputed
+    }
+  }
+
+  const messages = getCommitMessages(settings.sample, { paths: settings.paths, authors: settings.authors });
+  const profile = analyzeMessages(messages, settings.examples);
+  const createdAt = new Date().toISOString();
+
+  if (cachePath) {
+    try {
+      fs.writeFileSync(cachePath, JSON.stringify({ key, createdAt, profile }, null, 2) + '\n', 'utf-8');
+    } catch {
+      // Without a writable .git the style is learned again next time
+    }
+  }
+
+  return { profile, cachePath, cached: false, createdAt };
+}
+
+/**
+ * Get the style guide for the prompt
+ * @param {Object} settings - style settings
+ * @returns {string} Style guide, or an empty string when style learning is off
+ */
+function getStyleGuide(settings) {
+  return settings.enabled ? describeStyle(learnStyle(settings).profile) : '';
+}
+
+module.exports = {
+  getStyleGuide,
+  learnStyle,
+  analyzeMessages,
+  describeStyle,
+  DEFAULT_STYLE_CONFIG,
+  STYLE_CACHE_FILE
+};
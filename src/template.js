@@ -0,0 +1,319 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Tag syntax: {{NAME}}, {{#if NAME}}, {{#unless NAME}}, {{#each NAME}}, {{else}}, {{/if}}, {{> partial}}
+ */
+const TAG_PATTERN = /{{\s*([#/>]?)\s*([^{}]*?)\s*}}/g;
+
+/**
+ * Maximum depth of nested partial includes (guards against include cycles)
+ */
+const MAX_PARTIAL_DEPTH = 10;
+
+/**
+ * Parse template source into a tree of text, variable, block and partial nodes
+ * Blocks ({{#if}}, {{#unless}}, {{#each}}) keep their main branch in "body"
+ * and their {{else}} branch in "inverse"
+ * @param {string} source - Template source
+ * @returns {Object[]} Parsed nodes
+ */
+function parseTemplate(source) {
+  const root = { body: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  const current = () => stack[stack.length - 1];
+  const append = (node) => {
+    const block = current();
+    block[block.inElse ? 'inverse' : 'body'].push(node);
+  };
+  const lineAt = (index) => source.substring(0, index).split('\n').length;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const [tag, sigil, content] = match;
+    const line = lineAt(match.index);
+    let start = match.index;
+    let end = match.index + tag.length;
+
+    // A block tag alone on its line takes the whole line with it, so blocks don't leave blank lines
+    if (sigil === '#' || sigil === '/' || (!sigil && content === 'else')) {
+      const before = source.substring(source.lastIndexOf('\n', start - 1) + 1, start);
+      const after = source.substring(end).match(/^[ \t]*(\r?\n|$)/);
+      if (/^[ \t]*$/.test(before) && after && start - before.length >= lastIndex) {
+        start -= before.length;
+        end += after[0].length;
+      }
+    }
+
+    if (start > lastIndex) {
+      append({ type: 'text', value: source.substring(lastIndex, start) });
+    }
+    lastIndex = end;
+
+    if (sigil === '#') {
+      const [helper, name] = content.split(/\s+/);
+      if (!['if', 'unless', 'each'].includes(helper) || !name) {
+        throw new Error(`Invalid block "${tag}" on line ${line}. Use {{#if NAME}}, {{#unless NAME}} or {{#each NAME}}`);
+      }
+      const block = { type: helper, name, body: [], inverse: [], line };
+      append(block);
+      stack.push(block);
+    } else if (sigil === '/') {
+      if (stack.length === 1 || current().type !== content) {
+        throw new Error(`Unexpected "${tag}" on line ${line}`);
+      }
+      delete stack.pop().inElse;
+    } else if (sigil === '>') {
+      append({ type: 'partial', name: content, line });
+    } else if (content === 'else') {
+      if (stack.length === 1 || current().inElse) {
+        throw new Error(`Unexpected "{{else}}" on line ${line}`);
+      }
+      current().inElse = true;
+    } else {
+      append({ type: 'variable', name: content, line });
+    }
+  }
+
+  if (stack.length > 1) {
+    const block = current();
+    throw new Error(`Unclosed {{#${block.type} ${block.name}}} on line ${block.line}`);
+  }
+  if (lastIndex < source.length) {
+    append({ type: 'text', value: source.substring(lastIndex) });
+  }
+
+  return root.body;
+}
+
+/**
+ * Look a name up in the scope chain (innermost loop item first, then the root context)
+ * @param {string} name - Variable name, "this" or "@index"
+ * @param {Object[]} scopes - Scope chain, innermost last
+ * @returns {{found: boolean, value: *}} Lookup result
+ */
+function lookup(name, scopes) {
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (name === 'this' && '__item' in scope) {
+      return { found: true, value: scope.__item };
+    }
+    if (scope && typeof scope === 'object' && Object.prototype.hasOwnProperty.call(scope, name)) {
+      return { found: true, value: scope[name] };
+    }
+  }
+  return { found: false, value: undefined };
+}
+
+/**
+ * Check whether a value counts as true in {{#if}}
+ * @param {*} value - Value to test
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return Boolean(value);
+}
+
+/**
+ * Turn a value into template output
+ * Lists render one item per line; file entries render as their path
+ * @param {*} value - Value to render
+ * @returns {string} Rendered text
+ */
+function stringify(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(stringify).join('\n');
+  }
+  if (typeof value === 'object') {
+    return value.path !== undefined ? String(value.path) : JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Create a loop scope for an item
+ * @param {*} item - Current item
+ * @param {number} index - Item index
+ * @returns {Object} Scope with the item's fields, "this" and "@index"
+ */
+function itemScope(item, index) {
+  const fields = item && typeof item === 'object' && !Array.isArray(item) ? item : {};
+  return { ...fields, __item: item, '@index': index, '@number': index + 1 };
+}
+
+/**
+ * Load and parse a partial
+ * @param {Object} node - Partial node
+ * @param {Object} options - Render options
+ * @param {number} depth - Current include depth
+ * @returns {Object[]} Parsed partial nodes
+ */
+function loadPartialNodes(node, options, depth) {
+  if (depth >= MAX_PARTIAL_DEPTH) {
+    throw new Error(`Partials nested too deeply at {{> ${node.name}}} (include cycle?)`);
+  }
+  if (!options.loadPartial) {
+    throw new Error(`Partial {{> ${node.name}}} cannot be used here`);
+  }
+  return parseTemplate(options.loadPartial(node.name));
+}
+
+/**
+ * Find every variable a template uses, in all branches and partials
+ * Loop bodies are checked against the first item of the list; bodies of empty lists are skipped
+ * @param {string} source - Template source
+ * @param {Object} context - Variables available to the template
+ * @param {Object} [options] - Render options
+ * @param {Function} [options.loadPartial] - Returns the source of a partial by name
+ * @returns {{used: Set<string>, unknown: Set<string>, partials: Set<string>}}
+ *   Top-level variables used, names that could not be resolved and partials included
+ */
+function analyzeTemplate(source, context, options = {}) {
+  const used = new Set();
+  const unknown = new Set();
+  const partials = new Set();
+
+  function visit(nodes, scopes, depth) {
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        continue;
+      }
+      if (node.type === 'partial') {
+        partials.add(node.name);
+        visit(loadPartialNodes(node, options, depth), scopes, depth + 1);
+        continue;
+      }
+
+      const { found, value } = lookup(node.name, scopes);
+      if (!found) {
+        unknown.add(node.name);
+      } else if (Object.prototype.hasOwnProperty.call(context, node.name)) {
+        used.add(node.name);
+      }
+
+      if (node.type === 'each') {
+        if (Array.isArray(value) && value.length > 0) {
+          visit(node.body, [...scopes, itemScope(value[0], 0)], depth);
+        }
+        visit(node.inverse, scopes, depth);
+      } else if (node.type === 'if' || node.type === 'unless') {
+        visit(node.body, scopes, depth);
+        visit(node.inverse, scopes, depth);
+      }
+    }
+  }
+
+  visit(parseTemplate(source), [context], 0);
+  return { used, unknown, partials };
+}
+
+/**
+ * Render a template
+ * Every variable is checked first, including those in branches that are not taken,
+ * so a typo fails straight away instead of only on some commits
+ * @param {string} source - Template source
+ * @param {Object} context - Variables available to the template
+ * @param {Object} [options] - Render options
+ * @param {Function} [options.loadPartial] - Returns the source of a partial by name
+ * @returns {string} Rendered text
+ */
+function renderTemplate(source, context, options = {}) {
+  const { unknown } = analyzeTemplate(source, context, options);
+  if (unknown.size > 0) {
+    throw new Error(
+      `Unknown template variable(s): ${[...unknown].join(', ')}\n` +
+      `Available variables: ${Object.keys(context).join(', ')}`
+    );
+  }
+
+  function renderNodes(nodes, scopes, depth) {
+    let output = '';
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        output += node.value;
+        continue;
+      }
+      if (node.type === 'partial') {
+        output += renderNodes(loadPartialNodes(node, options, depth), scopes, depth + 1);
+        continue;
+      }
+
+      const { value } = lookup(node.name, scopes);
+      switch (node.type) {
+        case 'variable':
+          output += stringify(value);
+          break;
+        case 'if':
+        case 'unless': {
+          const condition = node.type === 'if' ? isTruthy(value) : !isTruthy(value);
+          output += renderNodes(condition ? node.body : node.inverse, scopes, depth);
+          break;
+        }
+        case 'each': {
+          const items = Array.isArray(value) ? value : [];
+          if (items.length === 0) {
+            output += renderNodes(node.inverse, scopes, depth);
+          }
+          items.forEach((item, index) => {
+            output += renderNodes(node.body, [...scopes, itemScope(item, index)], depth);
+          });
+          break;
+        }
+      }
+    }
+    return output;
+  }
+
+  return renderNodes(parseTemplate(source), [context], 0);
+}
+
+/**
+ * Check whether a file is inside a directory once symlinks are resolved
+ * @param {string} dir - Directory
+ * @param {string} filePath - Existing file
+ * @returns {boolean}
+ */
+function isInside(dir, filePath) {
+  const relative = path.relative(fs.realpathSync(dir), fs.realpathSync(filePath));
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Create a partial loader that looks next to the template, then in its partials/ folder
+ * Templates can be committed to a repository, so partials outside those folders are never read
+ * @param {string} templatePath - Path of the template being rendered
+ * @returns {Function} Loader returning the source of a partial by name
+ */
+function createPartialLoader(templatePath) {
+  const templateDir = path.dirname(templatePath);
+  const searchDirs = [templateDir, path.join(templateDir, 'partials')];
+
+  return (name) => {
+    if (path.isAbsolute(name) || name.split(/[\\/]/).includes('..')) {
+      throw new Error(`Invalid partial name "${name}": partials are named relative to the template folder, without ".."`);
+    }
+    for (const dir of searchDirs) {
+      for (const candidate of [name, `${name}.txt`]) {
+        const partialPath = path.join(dir, candidate);
+        if (fs.existsSync(partialPath) && fs.statSync(partialPath).isFile() && isInside(dir, partialPath)) {
+          return fs.readFileSync(partialPath, 'utf-8');
+        }
+      }
+    }
+    throw new Error(`Partial "${name}" not found (looked in ${searchDirs.join(', ')})`);
+  };
+}
+
+module.exports = {
+  parseTemplate,
+  analyzeTemplate,
+  renderTemplate,
+  createPartialLoader
+};
@@ -0,0 +1,213 @@
+const { getCurrentBranch } = require('./git');
+const { parseMessage } = require('./conventional');
+
+/**
+ * Default settings for issue tracker tickets
+ */
+const DEFAULT_TICKET_CONFIG = {
+  patterns: ['jira', 'github'], // preset names or regular expressions
+  placement: 'none',            // none, prefix or trailer
+  prefix: '{ticket} ',          // subject prefix in "prefix" placement
+  trailer: 'Refs',              // trailer token in "trailer" placement
+  validate: 'off'               // off, warn or fail when the final message lacks the ticket
+};
+
+/**
+ * Supported values for ticket.placement
+ */
+const TICKET_PLACEMENTS = ['none', 'prefix', 'trailer'];
+
+/**
+ * Supported values for ticket.validate
+ */
+const TICKET_VALIDATIONS = ['off', 'warn', 'fail'];
+
+/**
+ * What may come before a ticket at the start of a subject: a Conventional Commits
+ * "type(scope): " or a leading emoji
+ */
+const SUBJECT_LEAD = /(?:[a-zA-Z]+(?:\([^()\r\n]+\))?!?: |(?:\p{Extended_Pictographic}️?|:[a-z0-9_+-]+:)\s*)?/u;
+
+/**
+ * Build a pattern that only finds a ticket key where a message refers to one: at the start
+ * of the subject, in brackets or as a trailer value. Anywhere else "SHA-256", "UTF-8" or
+ * "ISO-8601" would pass for a key
+ * @param {RegExp} key - Ticket key, without groups
+ * @returns {RegExp} Pattern with one capture group per position
+ */
+function messageKeyPattern(key) {
+  return new RegExp(
+    `^${SUBJECT_LEAD.source}(${key.source})\\b|[\\[(](${key.source})[\\])]|\\n[A-Za-z][\\w-]*: (${key.source})[ \\t]*(?=\\n|$)`,
+    'u'
+  );
+}
+
+/**
+ * Built-in ticket patterns, for branch names and for messages; the first capture group
+ * that matched is the ticket ID
+ */
+const TICKET_PRESETS = {
+  // PROJ-1234, in feature/PROJ-1234-add-login, or "PROJ-1234 ...", "[PROJ-1234]" and "Refs: PROJ-1234" in the message
+  jira: {
+    branch: /\b([A-Z][A-Z0-9]+-\d+)\b/,
+    message: messageKeyPattern(/[A-Z][A-Z0-9]+-\d+/)
+  },
+  // #123 in the message, or 123-add-login / issue-123 / gh-123 in the branch name; a date
+  // such as hotfix/2024-10-19 is not a slug
+  github: {
+    branch: /(?:^|\/)(?:(?:gh|issues?)-(\d+)(?:[-_/]|$)|(\d+)[-_](?=[a-z]))/i,
+    message: /(?:^|[\s(])#(\d+)\b/,
+    format: id => `#${id}`
+  },
+  // eng-123 in Linear's branch names, ENG-123 in messages
+  linear: {
+    branch: /\b([a-z][a-z0-9]*-\d+)\b/i,
+    message: messageKeyPattern(/[A-Z][A-Z0-9]*-\d+/),
+    format: id => id.toUpperCase()
+  }
+};
+
+/**
+ * Turn the configured patterns into matchers; regular expressions apply to branch names and messages alike
+ * @param {string[]} patterns - Preset names or regular expressions
+ * @returns {{branch: RegExp, message: RegExp, format: Function}[]} Matchers
+ */
+function compilePatterns(patterns) {
+  return patterns.map((entry) => {
+    if (TICKET_PRESETS[entry]) {
+      return TICKET_PRESETS[entry];
+    }
+    const pattern = new RegExp(entry);
+    return { branch: pattern, message: pattern };
+  }).map(({ branch, message, format = id => id }) => ({ branch, message, format }));
+}
+
+/**
+ * Find a ticket ID, preferring the branch name over the message
+ * @param {string} branch - Current branch name
+ * @param {string} message - Original commit message
+ * @param {string[]} [patterns] - Preset names or regular expressions (default: jira and github)
+ * @returns {string} Ticket ID, or an empty string
+ */
+function findTicket(branch, message, patterns = DEFAULT_TICKET_CONFIG.patterns) {
+  const matchers = compilePatterns(patterns);
+  for (const [source, text] of [['branch', branch], ['message', message]]) {
+    for (const { format, ...pattern } of matchers) {
+      const match = (text || '').match(pattern[source]);
+      if (match) {
+        // Custom patterns without a group use the whole match
+        const id = match.slice(1).find(group => group !== undefined) || match[0];
+        return format(id);
+      }
+    }
+  }
+  return '';
+}
+
+/**
+ * Find the ticket of the commit being prepared, from the current branch or the original message
+ * @param {string} originalMessage - The developer's original commit message
+ * @param {Object} settings - ticket settings
+ * @returns {string} Ticket ID, or an empty string
+ */
+function resolveTicket(originalMessage, settings) {
+  return findTicket(getCurrentBranch(), originalMessage, settings.patterns);
+}
+
+/**
+ * Check whether a message mentions a ticket
+ * @param {string} message - Commit message
+ * @param {string} ticket - Ticket ID
+ * @returns {boolean}
+ */
+function hasTicket(message, ticket) {
+  return message.toLowerCase().includes(ticket.toLowerCase());
+}
+
+/**
+ * Put the ticket in the subject, after a Conventional Commits "type(scope): " or a leading emoji
+ * @param {string} message - Commit message
+ * @param {string} ticket - Ticket ID
+ * @param {string} format - Prefix format, with {ticket} for the ID
+ * @returns {string} Message with the prefixed subject
+ */
+function addPrefix(message, ticket, format) {
+  const [subject, ...rest] = message.split('\n');
+  if (hasTicket(subject, ticket)) {
+    return message;
+  }
+  const lead = (subject.match(/^[a-zA-Z]+(?:\([^()]+\))?!?: |^(?:\p{Extended_Pictographic}️?|:[a-z0-9_+-]+:)\s*/u) || [''])[0];
+  const prefixed = lead + format.replace(/\{ticket\}/g, ticket) + subject.slice(lead.length);
+  return [prefixed, ...rest].join('\n');
+}
+
+/**
+ * Add the ticket as a git trailer, e.g. "Refs: PROJ-1234", joining an existing trailer block
+ * @param {string} message - Commit message
+ * @param {string} ticket - Ticket ID
+ * @param {string} token - Trailer token
+ * @returns {string} Message with the trailer
+ */
+function addTrailer(message, ticket, token) {
+  const trimmed = message.trimEnd();
+  const { footers } = parseMessage(trimmed);
+  if (footers.some(line => line.toLowerCase().startsWith(`${token.toLowerCase()}:`) && hasTicket(line, ticket))) {
+    return trimmed;
+  }
+  return `${trimmed}${footers.length > 0 ? '\n' : '\n\n'}${token}: ${ticket}`;
+}
+
+/**
+ * Emit the ticket in the message as configured by ticket.placement
+ * @param {string} message - Commit message
+ * @param {string} ticket - Ticket ID (nothing happens when empty)
+ * @param {Object} settings - ticket settings
+ * @returns {string} The message
+ */
+function applyTicket(message, ticket, settings) {
+  if (!ticket) {
+    return message;
+  }
+  switch (settings.placement) {
+    case 'prefix':
+      return addPrefix(message, ticket, settings.prefix);
+    case 'trailer':
+      return addTrailer(message, ticket, settings.trailer);
+    default:
+      return message;
+  }
+}
+
+/**
+ * Check that the final message still mentions the ticket, as configured by ticket.validate
+ * @param {string} message - Final commit message
+ * @param {string} ticket - Ticket ID (nothing is checked when empty)
+ * @param {Object} settings - ticket settings
+ * @throws {Error} With code TICKET_MISSING in "fail" mode
+ */
+function checkTicket(message, ticket, settings) {
+  if (!ticket || settings.validate === 'off' || hasTicket(message, ticket)) {
+    return;
+  }
+  if (settings.validate === 'fail') {
+    const error = new Error(
+      `The commit message does not mention ticket ${ticket}. ` +
+      'Add it, or set ticket.placement to prefix or trailer to add it automatically.'
+    );
+    error.code = 'TICKET_MISSING';
+    throw error;
+  }
+  console.error(`⚠️  The commit message does not mention ticket ${ticket}`);
+}
+
+module.exports = {
+  findTicket,
+  resolveTicket,
+  hasTicket,
+  applyTicket,
+  checkTicket,
+  DEFAULT_TICKET_CONFIG,
+  TICKET_PLACEMENTS,
+  TICKET_VALIDATIONS,
+  TICKET_PRESETS
+};
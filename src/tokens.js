@@ -0,0 +1,131 @@
+/**
+ * Typical characters per token in a diff, used to turn a token budget into the
+ * character budget the diff collector works with
+ */
+const CHARS_PER_TOKEN = 3.5;
+
+/**
+ * Context window used for models missing from MODEL_CONTEXT_WINDOWS
+ */
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+/**
+ * Tokens reserved for what the prompt adds around the template text
+ * (original message, multi-line and conventional instructions, hints)
+ */
+const PROMPT_OVERHEAD_TOKENS = 1024;
+
+/**
+ * Smallest diff budget "auto" will settle on, even for tiny context windows
+ */
+const MIN_AUTO_BUDGET = 1000;
+
+/**
+ * Largest diff budget "auto" will settle on, however large the context window:
+ * filling a 400K window on every big commit costs far more than a better message is worth
+ */
+const MAX_AUTO_BUDGET = 32000;
+
+/**
+ * Context windows (in tokens) by model name; the first matching pattern wins
+ */
+const MODEL_CONTEXT_WINDOWS = [
+  [/^gpt-5/, 400000],
+  [/^gpt-4\.1/, 1047576],
+  [/^gpt-4o/, 128000],
+  [/^gpt-4-turbo/, 128000],
+  [/^gpt-4-32k/, 32768],
+  [/^gpt-4/, 8192],
+  [/^gpt-3\.5-turbo/, 16385],
+  [/^o\d/, 200000],
+  [/^claude-/, 200000],
+  [/^llama-?3\.[123]/, 128000],
+  [/^llama-?3/, 8192],
+  [/^llama-?2/, 4096],
+  [/^(?:codestral|mistral-large)/, 128000],
+  [/^(?:mistral|mixtral)/, 32768],
+  [/^qwen(?:2\.5|3)/, 32768],
+  [/^deepseek/, 128000],
+  [/^gemma-?3/, 128000],
+  [/^gemma/, 8192],
+  [/^phi-?[34]/, 128000],
+  [/^gemini/, 1048576]
+];
+
+/**
+ * Estimate the number of tokens in a text without a model-specific tokenizer
+ * Mirrors how BPE tokenizers split code: words cost a token per five letters,
+ * numbers a token per three digits and symbols a token per pair
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+  let tokens = 0;
+  for (const [piece] of text.matchAll(/[A-Za-z]+|\d{1,3}|[^\sA-Za-z0-9]+/g)) {
+    if (/[A-Za-z]/.test(piece)) {
+      tokens += Math.ceil(piece.length / 5);
+    } else if (/\d/.test(piece)) {
+      tokens += 1;
+    } else {
+      tokens += Math.ceil(piece.length / 2);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Look up the context window of a model
+ * Provider prefixes and tags are ignored, e.g. "openai/gpt-4o" or "llama3.1:8b"
+ * @param {string} model - Model name
+ * @returns {number} Context window in tokens
+ */
+function getContextWindow(model) {
+  const name = String(model || '').toLowerCase().replace(/^.*\//, '');
+  const entry = MODEL_CONTEXT_WINDOWS.find(([pattern]) => pattern.test(name));
+  return entry ? entry[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Work out the diff budget in tokens
+ * "auto" takes the model's context window minus the template and the reply, up to MAX_AUTO_BUDGET
+ * @param {Object} settings - Budget settings
+ * @param {number|string} settings.diffBudget - Budget in tokens, or "auto"
+ * @param {number} settings.contextWindow - Model context window in tokens
+ * @param {number} settings.templateTokens - Tokens used by the prompt around the diff
+ * @param {number} settings.responseTokens - Tokens reserved for the reply
+ * @returns {{tokens: number, auto: boolean, available: number}} The budget, whether it was derived,
+ *   and the room the context window leaves for the diff
+ */
+function resolveTokenBudget({ diffBudget, contextWindow, templateTokens, responseTokens }) {
+  const available = contextWindow - templateTokens - responseTokens;
+  const auto = diffBudget === 'auto';
+  return {
+    tokens: auto ? Math.max(MIN_AUTO_BUDGET, Math.min(MAX_AUTO_BUDGET, available)) : diffBudget,
+    auto,
+    available
+  };
+}
+
+/**
+ * Format a token count for display, e.g. 12345 -> "12,345"
+ * @param {number} tokens - Token count
+ * @returns {string} Formatted count
+ */
+function formatTokens(tokens) {
+  return Math.round(tokens).toLocaleString('en-US');
+}
+
+module.exports = {
+  estimateTokens,
+  getContextWindow,
+  resolveTokenBudget,
+  formatTokens,
+  CHARS_PER_TOKEN,
+  PROMPT_OVERHEAD_TOKENS,
+  MAX_AUTO_BUDGET,
+  MODEL_CONTEXT_WINDOWS,
+  DEFAULT_CONTEXT_WINDOW
+};
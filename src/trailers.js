@@ -0,0 +1,188 @@
+/**
+ * The line git puts above the diff of "git commit -v", after the comment character
+ * Everything below it is removed by git, whatever the cleanup mode
+ */
+const SCISSORS = '------------------------ >8 ------------------------';
+
+/**
+ * Comment characters git picks from when core.commentChar is "auto"
+ */
+const AUTO_COMMENT_CHARS = '#;@!$%^&|:';
+
+/**
+ * Trailer lines: "Token: value", "Token #value" (Conventional Commits footers),
+ * "BREAKING CHANGE: ..." and the line "git cherry-pick -x" adds
+ */
+const TRAILER_PATTERN = /^(?:BREAKING CHANGE|[A-Za-z][\w-]*)(?::[ \t]*\S| #\S)|^\(cherry picked from commit [0-9a-f]+\)$/;
+
+/**
+ * Help text git writes into the message file when it opens the editor
+ */
+const HELP_TEXT_PATTERN = / Please enter (?:the|a) commit message|>8/;
+
+/**
+ * Find git's help text in a message file
+ * @param {string[]} lines - Message file lines
+ * @param {string} chars - Comment characters the help text may start with
+ * @returns {string|undefined} The help text line
+ */
+function findHelpLine(lines, chars) {
+  return lines.find(line => chars.includes(line[0]) && HELP_TEXT_PATTERN.test(line));
+}
+
+/**
+ * Find the comment character git used in a message file
+ * @param {string[]} lines - Message file lines
+ * @param {string} commentChar - core.commentChar setting
+ * @returns {string} Comment character (or string)
+ */
+function resolveCommentChar(lines, commentChar) {
+  if (commentChar !== 'auto') {
+    return commentChar;
+  }
+  // git picks a character no message line starts with; its own help text shows which one
+  const helpLine = findHelpLine(lines, AUTO_COMMENT_CHARS);
+  return helpLine ? helpLine[0] : '#';
+}
+
+/**
+ * Work out what git's cleanup will remove from the message file
+ * @param {string} cleanup - Cleanup mode (commit.cleanup)
+ * @param {boolean} edited - Whether the message is edited in the editor
+ * @returns {{comments: boolean, scissors: boolean}} Whether comment lines, and everything from
+ *   the scissors line on, are removed
+ */
+function resolveCleanup(cleanup, edited) {
+  // "default" strips comments from edited messages only, like -m "#123 fix" shows
+  const mode = cleanup === 'default' ? (edited ? 'strip' : 'whitespace') : cleanup;
+  return {
+    comments: mode === 'strip',
+    scissors: mode === 'strip' || (mode === 'scissors' && edited)
+  };
+}
+
+/**
+ * Get the token of a trailer line, e.g. "signed-off-by"
+ * @param {string} line - Trailer line
+ * @returns {string} Lower-case token, or an empty string for continuation and cherry-pick lines
+ */
+function trailerToken(line) {
+  const match = line.match(/^(BREAKING CHANGE|[A-Za-z][\w-]*)(?::| #)/);
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Split the trailer block off the end of a message
+ * The block is the last paragraph (never the subject) when every line is a trailer
+ * or an indented continuation of one
+ * @param {string} message - Commit message without comments
+ * @returns {{body: string, trailers: string[]}} The message without its trailers, and the trailer lines
+ */
+function splitTrailers(message) {
+  const paragraphs = message.trim().split(/\n[ \t]*\n/);
+  if (paragraphs.length < 2) {
+    return { body: message.trim(), trailers: [] };
+  }
+
+  const last = paragraphs[paragraphs.length - 1].split('\n');
+  const isTrailer = line => TRAILER_PATTERN.test(line) && !/^\w+:\/\//.test(line);
+  if (!isTrailer(last[0]) || !last.every(line => isTrailer(line) || /^[ \t]+\S/.test(line))) {
+    return { body: message.trim(), trailers: [] };
+  }
+
+  return { body: paragraphs.slice(0, -1).join('\n\n').trim(), trailers: last };
+}
+
+/**
+ * Take a commit message file apart: the message itself, its trailers, git's
+ * comment lines and the scissors section of "git commit -v"
+ * Comment lines and the scissors section are only taken out when git's cleanup removes them;
+ * otherwise they are part of the message (e.g. "git commit -m '#123 fix login'")
+ * @param {string} text - Commit message file contents
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.commentChar='#'] - core.commentChar setting ("auto" is detected)
+ * @param {string} [options.cleanup='default'] - commit.cleanup setting
+ * @param {boolean} [options.edited] - Whether the message is edited in the editor
+ *   (detected from git's help text when omitted)
+ * @returns {{message: string, trailers: string[], comments: string[], scissors: string, commentChar: string, edited: boolean}}
+ *   The message without trailers or comments, the trailer lines, the comment lines,
+ *   everything from the scissors line on, the comment character in use and whether
+ *   the message is edited
+ */
+function parseMessageFile(text, { commentChar = '#', cleanup = 'default', edited } = {}) {
+  const lines = text.split('\n');
+  const char = resolveCommentChar(lines, commentChar);
+  if (edited === undefined) {
+    edited = Boolean(findHelpLine(lines, char));
+  }
+  const strips = resolveCleanup(cleanup, edited);
+  const scissorsIndex = strips.scissors ? lines.findIndex(line => line === `${char} ${SCISSORS}`) : -1;
+  const content = scissorsIndex === -1 ? lines : lines.slice(0, scissorsIndex);
+  const isComment = line => strips.comments && line.startsWith(char);
+  const { body, trailers } = splitTrailers(content.filter(line => !isComment(line)).join('\n'));
+
+  return {
+    message: body,
+    trailers,
+    comments: content.filter(isComment),
+    scissors: scissorsIndex === -1 ? '' : lines.slice(scissorsIndex).join('\n'),
+    commentChar: char,
+    edited
+  };
+}
+
+/**
+ * Put the developer's trailers back on a generated message, verbatim
+ * Trailers the model wrote with the same tokens are taken to be copies and dropped
+ * @param {string} message - Generated message
+ * @param {string[]} trailers - Trailer lines from the original message
+ * @returns {string} Message ending with the trailer block
+ */
+function attachTrailers(message, trailers = []) {
+  if (trailers.length === 0) {
+    return message;
+  }
+
+  const tokens = new Set(trailers.map(trailerToken).filter(Boolean));
+  const { body, trailers: generated } = splitTrailers(message);
+  const kept = [];
+  let dropping = false;
+  for (const line of generated) {
+    const token = trailerToken(line);
+    // Continuation lines go with the trailer above them
+    if (token || !/^[ \t]/.test(line)) {
+      dropping = tokens.has(token);
+    }
+    if (!dropping) {
+      kept.push(line);
+    }
+  }
+
+  return [body, [...kept, ...trailers].join('\n')].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Assemble a commit message file: the message, then git's comment lines and
+ * the scissors section as they were
+ * @param {string} message - Final commit message
+ * @param {Object} parsed - The original file, taken apart with parseMessageFile
+ * @returns {string} Commit message file contents
+ */
+function formatMessageFile(message, { comments, scissors }) {
+  let text = `${message.trimEnd()}\n`;
+  if (comments.length > 0) {
+    text += `\n${comments.join('\n')}\n`;
+  }
+  if (scissors) {
+    text += scissors;
+  }
+  return text;
+}
+
+module.exports = {
+  parseMessageFile,
+  splitTrailers,
+  attachTrailers,
+  formatMessageFile,
+  SCISSORS
+};